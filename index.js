@@ -12,6 +12,9 @@ import {
     eventSource,
     event_types,
     saveMetadata,
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles,
 } from "../../../../script.js";
 
 import {
@@ -21,12 +24,18 @@ import {
     createNewWorldInfo,
     world_names,
     reloadEditor,
+    world_info,
+    deleteWorldInfo,
+    world_info_depth,
     METADATA_KEY 
 } from "../../../world-info.js";
 
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
+import { download } from '../../../utils.js';
 import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
 import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
-import { ARGUMENT_TYPE, SlashCommandArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
 
 const MODULENAME = "titan-memory";
 const MODULENAME_FANCY = "Titan Memory";
@@ -38,7 +47,51 @@ const defaults = {
     show_toasts: false, 
     autosummarize: true,
     threshold: 20,
+    // Trigger policies (any enabled one starts an extraction). Can be overridden per character in character_triggers.
+    trigger_messages: true,
+    trigger_tokens: false,
+    trigger_token_threshold: 1500,
+    trigger_idle: false,
+    trigger_idle_seconds: 120,
+    trigger_before_prune: false,
+    trigger_on_character: false,
+    character_triggers: {},
     min_message_length: 50,
+    // Cleaning applied to chat text before the Librarian sees it (see cleanMessageText)
+    filter_skip_system: true,
+    filter_skip_narrator: false,
+    filter_skip_hidden: true,
+    filter_strip_ooc: true,
+    filter_ooc_delimiters: "((...))\n[OOC:...]\n(OOC:...)",
+    filter_redactions: "",
+    filter_strip_markup: true,
+    review_enabled: false,
+    journal_limit: 50,
+    journal_max_kb: 1024,
+    stale_action: "ask",
+    job_max_retries: 3,
+    job_retry_delay: 5,
+    fact_history_limit: 50,
+
+    // World Info placement per entity type. position: 0 before char defs, 1 after, 2 top of AN, 3 bottom of AN, 4 at depth
+    type_settings: {
+        person: { position: 0, depth: 4, order: 100, constant: false },
+        place: { position: 0, depth: 4, order: 100, constant: false },
+        item: { position: 0, depth: 4, order: 100, constant: false },
+        faction: { position: 0, depth: 4, order: 100, constant: false },
+        other: { position: 0, depth: 4, order: 100, constant: false }
+    },
+    backfill_window_tokens: 2000,
+    backfill_overlap: 2,
+    known_entities_limit: 100,
+    relevant_memories_tokens: 600,
+    story_context_tokens: 300,
+    prompt_presets: {},
+    character_presets: {},
+
+    // Entity matching
+    fuzzy_enabled: true,
+    fuzzy_threshold: 0.8,
     
     // Consolidation
     consolidation_enabled: true,
@@ -51,13 +104,24 @@ Your goal is to extract facts from the provided text for a wiki.
 CONTEXT:
 - The Main Character is: "{{CHAR}}".
 - The User is: "{{USER}}".
+- Characters present: {{MEMBERS}}.
+- Known entities: {{KNOWN_ENTITIES}}.
+- Story so far: {{STORY_SO_FAR}}
+
+ALREADY STORED:
+"""
+{{RELEVANT_MEMORIES}}
+"""
 
 RULES:
 1. First, write a concise, numbered list (1-3 points) summarizing the key events.
 2. Follow the list with the exact delimiter: --- ENTITY DATA ---
 3. Below the delimiter, extract ONLY facts explicitly written in the Input Text.
-4. NORMALIZE ENTITIES: If the text refers to "{{CHAR}}" by a nickname, alias, or description (e.g., "The Witch", "She"), file it under "ENTRY: {{CHAR}}". Do not create separate entries for the same person.
-5. If the input contains no new factual information, output ONLY the delimiter and the "NO DATA" flag.
+4. NORMALIZE ENTITIES: If the text refers to one of the characters present by a nickname, alias, or description (e.g., "The Witch", "She"), file it under that character's exact name (e.g., "ENTRY: {{CHAR}}"). Do not create separate entries for the same person.
+5. Reuse the exact name of a known entity. Do not repeat facts that are ALREADY STORED.
+6. Write one fact per CONTENT line. If a new fact makes a stored fact untrue (e.g. someone died, moved, changed sides), copy the old fact into a REPLACES line right below it. If the text only hints at a fact, put "UNCERTAIN: yes" right below it. Repeat CONTENT for every fact that needs its own REPLACES or UNCERTAIN.
+7. Give each entry a TYPE (person, place, item, faction or other) and list how it connects to other entities in RELATIONS, as "Subject — relation — Object" separated by semicolons.
+8. If the input contains no new factual information, output ONLY the delimiter and the "NO DATA" flag.
 
 INPUT TEXT:
 """
@@ -69,37 +133,223 @@ OUTPUT FORMAT:
 2. [Summary Point 2]
 --- ENTITY DATA ---
 ENTRY: [Subject Name]
+ALIASES: [Other names used for this subject in the text, or leave empty]
 KEYWORDS: [tag1, tag2]
 CONTENT: [The specific fact found in the text]
+REPLACES: [The stored fact this one makes untrue, or leave empty]
+UNCERTAIN: [yes, or leave empty]
+CONTENT: [Another fact, with its own REPLACES / UNCERTAIN lines if needed]
+TYPE: [person | place | item | faction | other]
+RELATIONS: [Subject — relation — Object; ... or leave empty]
 
 BEGIN LOG:`,
     
-    merge_prompt: `[System Note: You are a Historian. Your task is to merge several fragmented records into a single cohesive entry.
-    
-    INPUT RECORDS:
-    """
-    {{RECORDS}}
-    """
-    
-    INSTRUCTIONS:
-    1. Combine the facts from the records above.
-    2. Remove duplicates and resolve contradictions (favoring the latest info).
-    3. Output a single JSON object.
-    
-    FORMAT:
-    {
-        "title": "Combined Archive",
-        "keywords": ["tag1", "tag2"],
-        "content": "The combined narrative summary of these events..."
-    }
-    ]`,
+    // Structured extraction
+    extraction_mode: "text",
+    json_prompttemplate: `[System Note: You are a strict Database Archivist.
+Your goal is to extract facts from the provided text for a wiki.
+
+CONTEXT:
+- The Main Character is: "{{CHAR}}".
+- The User is: "{{USER}}".
+- Characters present: {{MEMBERS}}.
+- Known entities: {{KNOWN_ENTITIES}}.
+- Story so far: {{STORY_SO_FAR}}
+
+ALREADY STORED:
+"""
+{{RELEVANT_MEMORIES}}
+"""
+
+RULES:
+1. Summarize the key events in 1-3 short points.
+2. Extract ONLY facts explicitly written in the Input Text.
+3. NORMALIZE ENTITIES: If the text refers to one of the characters present by a nickname, alias, or description, use that character's exact name. Do not create separate entities for the same person.
+4. Reuse the exact name of a known entity. Do not repeat facts that are ALREADY STORED.
+5. One fact per item. If a new fact makes a stored fact untrue (e.g. someone died, moved, changed sides), copy the old fact into "replaces". Set "uncertain" when the text only hints at it.
+6. Give each entity a "type" (person, place, item, faction or other) and list how it connects to other entities in "relations".
+7. If the input contains no new factual information, return an empty "entities" array.
+8. Output ONLY the JSON object, no commentary.
+
+INPUT TEXT:
+"""
+{{NEWLINES}}
+"""
+
+OUTPUT FORMAT:
+{
+    "summary": ["Summary point 1", "Summary point 2"],
+    "entities": [
+        { "name": "Subject Name", "type": "person", "aliases": ["Other names used in the text"], "keywords": ["tag1", "tag2"], "facts": [{ "text": "A specific fact found in the text", "replaces": "", "uncertain": false }], "relations": [{ "relation": "sister of", "target": "Other Entity" }] }
+    ]
+}`,
+    repair_prompt: `[System Note: Your previous reply could not be used. Fix it.
+
+YOUR REPLY:
+"""
+{{OUTPUT}}
+"""
+
+PROBLEMS:
+{{ERRORS}}
+
+Return the corrected JSON object ONLY, in this format:
+{
+    "summary": ["Summary point"],
+    "entities": [
+        { "name": "Subject Name", "aliases": [], "keywords": ["tag1"], "facts": [{ "text": "A fact", "replaces": "", "uncertain": false }] }
+    ]
+}]`,
+
+    merge_prompt: `[System Note: You are a Historian. Your task is to merge several fragmented records about the same subject into a single cohesive entry.
+
+SUBJECT: {{TITLE}}
+
+INPUT RECORDS:
+"""
+{{RECORDS}}
+"""
+
+INSTRUCTIONS:
+1. Combine the facts from the records above. They all describe {{TITLE}}.
+2. Remove duplicates and resolve contradictions (favoring the latest info).
+3. Keep the content under {{MAX_TOKENS}} tokens. Keep the most important facts.
+4. Output a single JSON object.
+
+FORMAT:
+{
+    "title": "{{TITLE}}",
+    "keywords": ["tag1", "tag2"],
+    "content": "The combined facts about {{TITLE}}..."
+}
+]`,
+    consolidation_max_tokens: 400,
+    consolidation_key_overlap: 0.5,
+
+    // Story So Far
+    summary_enabled: true,
+    summary_depth: 4,
+    summary_role: "system",
+    summary_token_cap: 500,
+    summary_template: `[Story so far:
+{{SUMMARY}}]`,
+    // Relevance retrieval (offline BM25 over Titan entries)
+    retrieval_enabled: false,
+    retrieval_top_k: 5,
+    retrieval_token_budget: 800,
+    retrieval_query_messages: 4,
+    retrieval_min_score: 1,
+    retrieval_depth: 2,
+    retrieval_role: "system",
+    retrieval_template: `[Relevant memories:
+{{MEMORIES}}]`,
+    rollup_prompt: `[System Note: You are a Chronicler. Rewrite the story so far and the recent events below into one cohesive summary.
+
+STORY SO FAR:
+"""
+{{STORY}}
+"""
+
+RECENT EVENTS:
+"""
+{{RECENT}}
+"""
+
+INSTRUCTIONS:
+1. Keep every plot point that still matters. Drop trivia.
+2. Write in past tense, third person, in chronological order.
+3. Stay under {{TOKENS}} tokens. Output ONLY the summary text.]`,
+
+    // Connections ("" = the main API with the user's current settings)
+    extraction_profile: "",
+    consolidation_profile: "",
+    extraction_sampler: `{
+    "temperature": 0.1,
+    "top_k": 0,
+    "top_p": 0.1,
+    "min_p": 0,
+    "repetition_penalty": 1.0,
+    "max_length": 500
+}`,
+    consolidation_sampler: `{
+    "temperature": 0.3
+}`,
+    // Overrides per connection profile id (JSON text). A profile without its own uses the role's overrides above.
+    profile_samplers: {},
 
     pruningenabled: true,
     tokenbudget: 1000, 
-    lorebooksync: true
+    budget_mode: "absolute",
+    budget_percent: 50,
+    anchor_greeting: true,
+    anchor_messages: "",
+    lorebooksync: true,
+    memory_scope: "character",
+    character_scopes: {}, // avatar (or "group:<id>") -> memory_scope; a chat can override both in its metadata
+    import_conflict: "merge"
 };
 
-let isProcessing = false;
+let isProcessing = false; // True while the job queue worker runs
+let currentJob = null; // { id, chatId, cancelled, controller } of the running job
+let entityNames = []; // Titles in this chat's books, for slash command autocomplete
+let isAcceptingReview = false; // True while accepted review items are being written
+let idleTriggerTimer = null; // Pending "idle" trigger check, restarted on every new message
+let lastRetrieval = null; // { date, query, results: [{ title, score, tokens }] } of the last generation
+const retrievalIndexCache = new Map(); // bookName -> { signature, index }
+const debugLog = []; // Last raw Librarian replies, newest last
+
+// Shape of the JSON extraction reply. Sent to backends that support structured output, checked by validateExtraction().
+const EXTRACTION_SCHEMA = {
+    name: "titan_extraction",
+    strict: true,
+    value: {
+        type: "object",
+        properties: {
+            summary: { type: "array", items: { type: "string" } },
+            entities: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        type: { type: "string", enum: ["person", "place", "item", "faction", "other"] },
+                        aliases: { type: "array", items: { type: "string" } },
+                        keywords: { type: "array", items: { type: "string" } },
+                        facts: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    text: { type: "string" },
+                                    replaces: { type: "string" },
+                                    uncertain: { type: "boolean" }
+                                },
+                                required: ["text", "replaces", "uncertain"],
+                                additionalProperties: false
+                            }
+                        },
+                        relations: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    relation: { type: "string" },
+                                    target: { type: "string" }
+                                },
+                                required: ["relation", "target"],
+                                additionalProperties: false
+                            }
+                        }
+                    },
+                    required: ["name", "type", "aliases", "keywords", "facts", "relations"],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ["summary", "entities"],
+        additionalProperties: false
+    }
+};
 
 // --- HELPERS ---
 function log(...args) { console.log(`[${MODULENAME_FANCY}]`, ...args); }
@@ -109,6 +359,11 @@ function toast(msg, type = "info") {
 }
 
 function getSetting(key) { return extension_settings[MODULENAME]?.[key] ?? defaults[key]; }
+// For number settings where 0 is a real value. Empty or invalid input falls back to the default.
+function getNumberSetting(key) {
+    const value = getSetting(key);
+    return value !== "" && value !== null && Number.isFinite(Number(value)) ? Number(value) : defaults[key];
+}
 function setSetting(key, val) { 
     if (!extension_settings[MODULENAME]) extension_settings[MODULENAME] = {};
     extension_settings[MODULENAME][key] = val;
@@ -120,6 +375,15 @@ function setChatMetadata(key, val) {
     chat_metadata[MODULENAME][key] = val;
     saveMetadataDebounced();
 }
+function splitList(value) {
+    const parts = Array.isArray(value) ? value : String(value || "").split(',');
+    return parts.map(k => String(k).trim()).filter(Boolean);
+}
+function makeId() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
+function countTokens(text) {
+    const ctx = getContext();
+    return ctx.getTokenCount ? ctx.getTokenCount(text) : (text.length / 3.5);
+}
 
 // --- ROBUST JSON PARSER ---
 function normalizeText(s) {
@@ -175,283 +439,2736 @@ function robustJSONParse(text) {
     return null;
 }
 
-// --- CORE: LOREBOOK MANAGEMENT ---
-async function batchUpdateLorebook(entriesToProcess) {
-    const ctx = getContext();
-    if (!ctx.characterId && !ctx.groupId) return 0;
-    
-    let charName = "Unknown";
-    if (ctx.characterId) {
-        charName = ctx.characters[ctx.characterId].name;
-    } else if (ctx.groupId && ctx.groups) {
-        const group = ctx.groups.find(g => g.id === ctx.groupId);
-        if (group) charName = group.name;
+// --- CORE: CONNECTIONS (Librarian & Janitor Calls) ---
+// role is "extraction" (Librarian) or "consolidation" (Janitor, story roll-up).
+function getConnectionProfiles() {
+    return extension_settings.connectionManager?.profiles || [];
+}
+
+// The sampler JSON that applies to a role: its profile's own overrides, else the role's (also used for the main API).
+function getSamplerText(role) {
+    const profileId = getSetting(`${role}_profile`);
+    const perProfile = profileId ? (getSetting("profile_samplers") || {})[profileId] : undefined;
+    return perProfile ?? getSetting(`${role}_sampler`);
+}
+
+function setSamplerText(role, text) {
+    const profileId = getSetting(`${role}_profile`);
+    if (!profileId) return setSetting(`${role}_sampler`, text);
+    setSetting("profile_samplers", { ...(getSetting("profile_samplers") || {}), [profileId]: text });
+}
+
+function getSamplerOverrides(role) {
+    try {
+        const parsed = JSON.parse(getSamplerText(role) || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+        debug(`Invalid ${role} sampler overrides, using none.`);
+        return {};
     }
-    const bookName = `Titan Memory - ${charName}`.replace(/[\/\\:*?"<>|]/g, '_');
+}
 
-    if (!world_names.includes(bookName)) {
-        try {
-            await createNewWorldInfo(bookName);
-            chat_metadata[METADATA_KEY] = bookName;
-            await saveMetadata();
-            toast(`Created & Bound: ${bookName}`, "success");
-        } catch (e) {
-            console.error("Creation Failed", e);
-            return 0;
+// Runs a memory call on the role's connection profile without switching the user's active connection.
+// Falls back to the main API when no profile is set or the chosen one no longer exists.
+async function generateForRole(role, prompt, { jsonSchema = null } = {}) {
+    const sampler = getSamplerOverrides(role);
+    const profileId = getSetting(`${role}_profile`);
+    const profile = profileId ? getConnectionProfiles().find(p => p.id === profileId) : null;
+    const service = getContext().ConnectionManagerRequestService;
+
+    let result;
+    if (profile && service) {
+        const { max_length, ...overrides } = sampler;
+        if (jsonSchema) overrides.json_schema = jsonSchema;
+        const signal = currentJob ? currentJob.controller.signal : null;
+        const response = await service.sendRequest(profile.id, prompt, Number(max_length) || 500, { stream: false, signal: signal, extractData: true, includePreset: true, includeInstruct: true }, overrides);
+        result = typeof response === "string" ? response : response?.content;
+    } else {
+        if (profileId) debug(`Connection profile "${profileId}" not found. Using the main API for ${role}.`);
+        const genOverrides = { prompt: prompt, ...sampler };
+        if (jsonSchema) genOverrides.jsonSchema = jsonSchema;
+        try { 
+            result = await generateRaw(genOverrides, main_api); 
+        } catch { 
+            result = await generateRaw(prompt, main_api); 
         }
-    } else if (chat_metadata[METADATA_KEY] !== bookName) {
-        chat_metadata[METADATA_KEY] = bookName;
-        await saveMetadata();
     }
 
-    let lorebookData = await loadWorldInfo(bookName);
-    if (!lorebookData) return 0;
+    if (!result) throw new Error("No response");
+    return result;
+}
 
-    let updates = 0;
-    for (const item of entriesToProcess) {
-        let title = item.title.replace(/\*\*/g, '').trim();
-        if (title.toUpperCase() === "NO DATA" || title.includes("Input Text")) continue; 
+// --- CORE: JOURNAL (Undo & Version History) ---
+// Every write Titan makes to a book goes through commitBookChanges(), which stores what changed in
+// extension_settings. Created and deleted entries are stored whole; for edited ones only the changed
+// fields (`fields`, with their old and new values in before/after). Records older than the diff format
+// hold full snapshots. The whole journal is capped at journal_max_kb, oldest records go first.
+function getJournal(bookName) { return (getSetting("journal") || {})[bookName] || []; }
+function setJournal(bookName, records) {
+    const all = { ...(getSetting("journal") || {}) };
+    all[bookName] = records.slice(-(Number(getSetting("journal_limit")) || 50));
+    const maxChars = (Number(getSetting("journal_max_kb")) || 1024) * 1024;
+    let size = JSON.stringify(all).length;
+    while (size > maxChars) {
+        const oldest = Object.keys(all).filter(b => all[b].length).sort((a, b) => all[a][0].date - all[b][0].date)[0];
+        if (!oldest) break;
+        size -= JSON.stringify(all[oldest][0]).length + 1;
+        all[oldest] = all[oldest].slice(1);
+    }
+    for (const name of Object.keys(all)) if (all[name].length === 0) delete all[name];
+    setSetting("journal", all);
+}
+
+function snapshotEntries(lorebookData) { return structuredClone(lorebookData.entries || {}); }
 
-        if (title.toLowerCase() === "you" || title.toLowerCase() === "she" || title.toLowerCase() === "he") {
-            title = charName;
+function recordJournal(bookName, reason, before, lorebookData) {
+    const after = lorebookData.entries || {};
+    const changes = [];
+    for (const uid of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[uid]) === JSON.stringify(after[uid])) continue;
+        const title = entryTitle(after[uid] || before[uid]);
+        if (!before[uid] || !after[uid]) {
+            changes.push({ uid, title, before: before[uid] ? structuredClone(before[uid]) : null, after: after[uid] ? structuredClone(after[uid]) : null });
+            continue;
         }
+        const fields = [...new Set([...Object.keys(before[uid]), ...Object.keys(after[uid])])]
+            .filter(key => JSON.stringify(before[uid][key]) !== JSON.stringify(after[uid][key]));
+        const pick = (entry) => Object.fromEntries(fields.filter(key => key in entry).map(key => [key, structuredClone(entry[key])]));
+        changes.push({ uid, title, fields, before: pick(before[uid]), after: pick(after[uid]) });
+    }
+    if (changes.length === 0) return null;
 
-        const content = item.content.trim();
-        const keywords = Array.isArray(item.keywords) ? item.keywords.join(',') : item.keywords;
-        const searchTitle = title.toLowerCase().trim();
+    const record = { id: makeId(), date: Date.now(), reason: reason, changes: changes };
+    setJournal(bookName, [...getJournal(bookName), record]);
+    return record;
+}
 
-        const entriesArray = Object.values(lorebookData.entries || {});
-        let entry = entriesArray.find(e => (e.displayName || e.comment || "").toLowerCase().trim() === searchTitle);
+async function commitBookChanges(bookName, lorebookData, before, reason) {
+    renderRelations(bookName, lorebookData);
+    recordJournal(bookName, reason, before, lorebookData);
+    await saveWorldInfo(bookName, lorebookData, true);
+    if (typeof reloadEditor === 'function') reloadEditor(bookName);
+    refreshHistoryUI();
+    refreshInspectorUI();
+    refreshConflictsUI();
+    refreshGraphUI();
+    refreshEntityNames();
+}
 
-        if (entry) {
-            if (!entry.content.includes(content)) entry.content += `\n${content}`;
-            const newKeys = keywords.split(',').map(k => k.trim());
-            entry.key = [...new Set([...(entry.key || []), ...newKeys])];
-            updates++;
-        } else {
-            let newEntry = createWorldInfoEntry(bookName, lorebookData);
-            if (newEntry) {
-                newEntry.displayName = title;
-                newEntry.comment = title;
-                newEntry.key = keywords.split(',').map(k => k.trim());
-                newEntry.content = content;
-                newEntry.enabled = true;
-                newEntry.stmemorybooks = true; 
-                updates++;
-            }
+// One side ("before" or "after") of a change applied to the entry as it is now. Null means the entry doesn't exist on that side.
+function applyChangeSide(current, change, side) {
+    if (!change.fields) return change[side] ? structuredClone(change[side]) : null;
+    if (!current) return null;
+    const entry = structuredClone(current);
+    for (const key of change.fields) {
+        if (key in change[side]) entry[key] = structuredClone(change[side][key]);
+        else delete entry[key];
+    }
+    return entry;
+}
+
+// Puts the "before" side of each change back, newest record first.
+function revertRecords(lorebookData, records) {
+    for (const record of [...records].reverse()) {
+        for (const change of record.changes) {
+            const entry = applyChangeSide(lorebookData.entries[change.uid], change, "before");
+            if (entry) lorebookData.entries[change.uid] = entry;
+            else delete lorebookData.entries[change.uid];
         }
     }
+}
 
-    if (updates > 0) {
-        await saveWorldInfo(bookName, lorebookData, true);
-        if (typeof reloadEditor === 'function') reloadEditor(bookName);
-        if (getSetting("debug") || getSetting("show_toasts")) toast(`Saved ${updates} memories.`, "success");
+// Without a book, undoes the newest change in any of this chat's books (group members' books included).
+async function undoLastChange(bookName = null) {
+    const lastUndoable = (name) => [...getJournal(name)].reverse().find(r => !r.undone && r.reason !== "undo");
+    if (!bookName) {
+        bookName = getChatBooks().filter(b => world_names.includes(b) && lastUndoable(b))
+            .sort((a, b) => lastUndoable(b).date - lastUndoable(a).date)[0];
+        if (!bookName) return null;
     }
-    
-    if (getSetting("consolidation_enabled")) {
-        await runJanitor(bookName, lorebookData);
+    const journal = getJournal(bookName);
+    const record = lastUndoable(bookName);
+    if (!record || !world_names.includes(bookName)) return null;
+
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return null;
+    const before = snapshotEntries(lorebookData);
+    revertRecords(lorebookData, [record]);
+
+    setJournal(bookName, journal.map(r => r.id === record.id ? { ...r, undone: true } : r));
+    await commitBookChanges(bookName, lorebookData, before, "undo");
+    return record;
+}
+
+// Restores the whole book to the state right after the given record.
+async function rollbackBook(bookName, recordId) {
+    const journal = getJournal(bookName);
+    const index = journal.findIndex(r => r.id === recordId);
+    if (index === -1) return false;
+
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return false;
+    const before = snapshotEntries(lorebookData);
+    const newer = journal.slice(index + 1);
+    revertRecords(lorebookData, newer);
+
+    const newerIds = newer.map(r => r.id);
+    setJournal(bookName, journal.map(r => newerIds.includes(r.id) ? { ...r, undone: true } : r));
+    await commitBookChanges(bookName, lorebookData, before, "rollback");
+    return true;
+}
+
+// Puts one entry back to a version stored in the journal. Deleted entries come back as they were before deletion.
+// For an edit, the fields it changed get the values it wrote.
+async function restoreEntryVersion(bookName, recordId, uid) {
+    const record = getJournal(bookName).find(r => r.id === recordId);
+    const change = record?.changes.find(c => String(c.uid) === String(uid));
+    if (!change) return false;
+
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return false;
+    const current = lorebookData.entries[uid];
+    const version = change.after ? applyChangeSide(current, change, "after") : applyChangeSide(current, change, "before");
+    if (!version) return false;
+    const before = snapshotEntries(lorebookData);
+    lorebookData.entries[uid] = version;
+    await commitBookChanges(bookName, lorebookData, before, "restore");
+    return true;
+}
+
+// --- CORE: LOREBOOK MANAGEMENT ---
+function getOwnerName(ctx = getContext()) {
+    let charName = "Unknown";
+    if (ctx.characterId) {
+        charName = ctx.characters[ctx.characterId].name;
+    } else if (ctx.groupId && ctx.groups) {
+        const group = ctx.groups.find(g => g.id === ctx.groupId);
+        if (group) charName = group.name;
     }
-    
-    return updates;
+    return charName;
 }
 
-// --- CORE: THE JANITOR (Consolidation) ---
-async function runJanitor(bookName, lorebookData) {
-    const entries = Object.values(lorebookData.entries || {});
-    const candidates = entries.filter(e => 
-        e.enabled && 
-        !e.constant && 
-        !e.comment.includes("Consolidated") &&
-        e.stmemorybooks
-    );
+function makeBookName(name) {
+    return `Titan Memory - ${name}`.replace(/[\/\\:*?"<>|]/g, '_');
+}
 
-    const threshold = getSetting("consolidation_threshold") || 10;
-    
-    if (candidates.length > threshold) {
-        debug(`Janitor: Found ${candidates.length} candidates. Threshold is ${threshold}. Consolidating...`);
-        const toMerge = candidates.slice(0, 3);
-        const recordsText = toMerge.map(e => `Title: ${e.comment}\nKeywords: ${e.key.join(', ')}\nContent: ${e.content}`).join("\n---\n");
-        const prompt = getSetting("merge_prompt").replace("{{RECORDS}}", recordsText);
-        
-        try {
-            const result = await generateRaw({ prompt: prompt, temperature: 0.3 }, main_api);
-            const parsed = robustJSONParse(result);
-            
-            if (parsed && parsed.content) {
-                let newEntry = createWorldInfoEntry(bookName, lorebookData);
-                newEntry.displayName = parsed.title || "Consolidated Archive";
-                newEntry.comment = `Consolidated Archive [${new Date().toLocaleDateString()}]`;
-                newEntry.key = parsed.keywords || ["archive", "history"];
-                newEntry.content = parsed.content;
-                newEntry.stmemorybooks = true;
-                newEntry.enabled = true;
+// The book shared by every chat with this character (or group).
+function getSharedBookName(ctx = getContext()) {
+    return makeBookName(getOwnerName(ctx));
+}
 
-                toMerge.forEach(e => { delete lorebookData.entries[e.uid]; });
+const MEMORY_SCOPES = ["character", "chat", "chat_shared"];
 
-                await saveWorldInfo(bookName, lorebookData, true);
-                if (typeof reloadEditor === 'function') reloadEditor(bookName);
-                console.log(`[Titan Janitor] Merged ${toMerge.length} entries into 1.`);
-                toast("Titan Janitor: Optimized Memory", "success");
-            }
-        } catch (e) {
-            console.error("Janitor Failed:", e);
-        }
+function getScopeOwnerKey(ctx = getContext()) {
+    if (ctx.groupId) return `group:${ctx.groupId}`;
+    return ctx.characterId ? ctx.characters[ctx.characterId]?.avatar || null : null;
+}
+
+// The chat's own choice, then the character's (or group's), then the global setting.
+function getMemoryScope(ctx = getContext()) {
+    const chatScope = getChatMetadata("memory_scope");
+    if (MEMORY_SCOPES.includes(chatScope)) return chatScope;
+    const key = getScopeOwnerKey(ctx);
+    const ownScope = key ? (getSetting("character_scopes") || {})[key] : null;
+    return MEMORY_SCOPES.includes(ownScope) ? ownScope : getSetting("memory_scope");
+}
+
+// Where this chat's memories go. memory_scope "character" shares one book across chats;
+// "chat" and "chat_shared" give each chat its own (the latter also reads the shared book).
+function getBookName(ctx = getContext()) {
+    if (getMemoryScope(ctx) === "character") return getSharedBookName(ctx);
+    const owner = getOwnerName(ctx);
+    const chatId = (ctx.getCurrentChatId ? ctx.getCurrentChatId() : null) || "chat";
+    return makeBookName(chatId.startsWith(owner) ? chatId : `${owner} - ${chatId}`);
+}
+
+function isChatScoped() {
+    return getMemoryScope() !== "character";
+}
+
+function getGroupMembers(ctx = getContext()) {
+    const group = ctx.groupId && ctx.groups ? ctx.groups.find(g => g.id === ctx.groupId) : null;
+    if (!group) return [];
+    return (group.members || []).map(avatar => ctx.characters.find(c => c.avatar === avatar)).filter(Boolean);
+}
+
+// Every Titan book this chat writes to: the main book plus, in group chats, each member's book.
+// Member books are shared by all of a character's chats, so chat scopes write everything to the chat book.
+function getChatBooks(ctx = getContext()) {
+    if (isChatScoped()) return [getBookName(ctx)];
+    return [getBookName(ctx), ...getGroupMembers(ctx).map(m => makeBookName(m.name))];
+}
+
+// Books whose entries the Librarian should know about: the chat's own books plus, in "chat_shared" scope, the shared book.
+function getReadBooks(ctx = getContext()) {
+    const books = getChatBooks(ctx);
+    if (getMemoryScope(ctx) === "chat_shared") books.push(getSharedBookName(ctx));
+    return [...new Set(books)];
+}
+
+// Returns null for junk titles the Librarian sometimes emits, and for pronouns when there is no single character to map them to.
+function normalizeTitle(rawTitle, charName) {
+    let title = String(rawTitle || "").replace(/\*\*/g, '').trim();
+    if (!title || title.toUpperCase() === "NO DATA" || title.includes("Input Text")) return null;
+
+    if (title.toLowerCase() === "you" || title.toLowerCase() === "she" || title.toLowerCase() === "he") {
+        title = charName || null;
     }
+    return title;
 }
 
-// --- CORE: PROCESSING ---
-async function runSummarization(forcedCount = null) {
-    if (isProcessing) return;
-    isProcessing = true;
+function entryTitle(entry) { return entry.displayName || entry.comment || ""; }
 
-    const $btn = $(".titan-memory-btn");
-    $btn.addClass("fa-spin"); 
+function findEntry(lorebookData, title) {
+    const searchTitle = title.toLowerCase().trim();
+    return Object.values(lorebookData.entries || {}).find(e => entryTitle(e).toLowerCase().trim() === searchTitle);
+}
 
+// --- CORE: SOURCE TRACKING ---
+// Each fact written to an entry gets a record in entry.titan_sources:
+// { chat, start, end, from, to, fact, fact_id } where start/end are message indexes and from/to their send dates.
+// fact_id links the record to its item in entry.titan_facts (older records only have the text).
+function makeSource(chat, start, end) {
     const ctx = getContext();
-    const chat = ctx.chat;
-    
-    let newMessages;
-    if (forcedCount) {
-        newMessages = chat.slice(-forcedCount);
-        debug(`Manual trigger: Processing last ${forcedCount} messages.`);
-    } else {
-        const lastIndex = getChatMetadata("last_index") || 0;
-        newMessages = chat.slice(lastIndex);
+    const last = Math.max(start, end - 1);
+    return {
+        chat: ctx.getCurrentChatId ? ctx.getCurrentChatId() : null,
+        start: start,
+        end: last,
+        from: chat[start]?.send_date ?? null,
+        to: chat[last]?.send_date ?? null
+    };
+}
+
+function addSource(entry, source, fact) {
+    if (!source || !fact) return;
+    entry.titan_sources = [...(entry.titan_sources || []), { ...source, fact: fact.text, fact_id: fact.id }];
+}
+
+function mergeSources(entries) {
+    const seen = new Set();
+    return entries.flatMap(e => e.titan_sources || []).filter(src => {
+        const key = `${src.chat}|${src.start}|${src.end}|${src.fact}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Merged message ranges of a chat that ended up in the book.
+function getCoverage(lorebooks, chatId) {
+    const ranges = lorebooks.flatMap(data => Object.values(data.entries || {}))
+        .flatMap(e => e.titan_sources || [])
+        .filter(src => src.chat === chatId)
+        .map(src => ({ start: src.start, end: src.end }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+        else merged.push({ ...range });
     }
-    
-    if (newMessages.length === 0) { 
-        isProcessing = false; 
-        $btn.removeClass("fa-spin");
-        return; 
+    return merged;
+}
+
+async function jumpToSource(source) {
+    const ctx = getContext();
+    const currentChat = ctx.getCurrentChatId ? ctx.getCurrentChatId() : null;
+    if (source.chat && currentChat !== source.chat) {
+        if (ctx.groupId) await ctx.openGroupChat(ctx.groupId, source.chat);
+        else await ctx.openCharacterChat(source.chat);
     }
 
-    const newLines = newMessages.map(m => `${m.name}: ${m.mes}`).join("\n");
-    
-    if (!forcedCount && newLines.length < (getSetting("min_message_length") || 50)) {
-        debug("Input too short (Smart Filter). Skipping.");
-        isProcessing = false;
-        $btn.removeClass("fa-spin");
+    const el = document.querySelector(`#chat .mes[mesid="${source.start}"]`);
+    if (el) {
+        el.scrollIntoView({ behavior: "smooth", block: "center" });
         return;
     }
+    // Not rendered yet (long chats load lazily); let SillyTavern page it in.
+    await ctx.executeSlashCommandsWithOptions(`/chat-jump ${source.start}`);
+}
 
-    let charName = "Character";
-    let userName = "User";
-    if (ctx.characterId && ctx.characters[ctx.characterId]) charName = ctx.characters[ctx.characterId].name;
-    if (chat.length > 0 && chat[0].is_user) userName = chat[0].name; 
-
-    let prompt = getSetting("prompttemplate")
-        .replace("{{NEWLINES}}", newLines)
-        .replace(/{{CHAR}}/g, charName)
-        .replace(/{{USER}}/g, userName);
+// --- CORE: FACTS (Atomic, Timestamped) ---
+// entry.titan_facts: [{ id, text, recorded, source, status, flag, note, reason, replaced_by, replaced_at }].
+// "current" facts make up entry.content; "superseded" ones are kept as history.
+// flag is "uncertain" (the Librarian wasn't sure), "replaced" (it superseded the fact in replaces_id)
+// or "conflict" (it contradicts a fact we couldn't find). Flags are cleared in the Conflicts view.
+function normalizeFact(text) {
+    return String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
 
-    const genOverrides = {
-        prompt: prompt,
-        temperature: 0.1,    
-        top_k: 0,           
-        top_p: 0.1,         
-        min_p: 0,
-        repetition_penalty: 1.0,
-        max_length: 500,    
-    };
+function factSimilarity(a, b) {
+    const x = new Set(normalizeFact(a).split(" ").filter(Boolean));
+    const y = new Set(normalizeFact(b).split(" ").filter(Boolean));
+    if (!x.size || !y.size) return 0;
+    const shared = [...x].filter(t => y.has(t)).length;
+    return shared / (x.size + y.size - shared);
+}
 
-    try {
-        let result;
-        try { 
-            result = await generateRaw(genOverrides, main_api); 
-        } catch { 
-            result = await generateRaw(prompt, main_api); 
-        }
+// The rendered relations line (see renderRelations) is not a fact.
+function splitFactLines(content) {
+    return String(content || "").split("\n").map(l => l.trim()).filter(l => l && !l.startsWith(RELATIONS_PREFIX));
+}
 
-        if (!result) throw new Error("No response");
+function makeFact(text, source = null) {
+    return {
+        id: makeId(),
+        text: text.trim(),
+        recorded: Date.now(),
+        source: source ? { chat: source.chat, start: source.start, end: source.end } : null,
+        status: "current"
+    };
+}
 
-        let summaryText = "";
-        let entityData = result;
+// Entries written before facts existed get one fact per content line, dated by the entry's last update.
+// Reading leaves the entry alone; anything that changes facts goes through migrateFacts() first.
+function getFacts(entry) {
+    if (Array.isArray(entry.titan_facts)) return entry.titan_facts;
+    return splitFactLines(entry.content).map(text => ({
+        ...makeFact(text, (entry.titan_sources || []).find(s => normalizeFact(s.fact || "") === normalizeFact(text))),
+        recorded: entry.titan_updated || 0
+    }));
+}
 
-        if (result.includes("--- ENTITY DATA ---")) {
-            const parts = result.split("--- ENTITY DATA ---", 2);
-            summaryText = parts[0].trim();
-            entityData = parts[1].trim();
-        } 
-        
-        if (summaryText) {
-            console.log(`%c[TITAN SUMMARY]:\n${summaryText}`, "color: #ffcc00; font-weight: bold;");
-        }
-        
-        if (entityData.includes("NO DATA")) {
-            debug("AI reported no new data.");
-            if (!forcedCount) setChatMetadata("last_index", chat.length);
-        } else {
-            const entryRegex = /[\*\#\s]*ENTRY[\*\#\s]*:\s*(.*?)\n[\*\#\s]*KEYWORDS[\*\#\s]*:\s*(.*?)\n[\*\#\s]*CONTENT[\*\#\s]*:\s*([\s\S]*?)(?=(?:[\*\#\s]*ENTRY|$))/gi;
-            let match;
-            const batch = [];
-            
-            while ((match = entryRegex.exec(entityData)) !== null) {
-                if (match[1] && match[3]) batch.push({ title: match[1], keywords: match[2], content: match[3] });
-            }
+function migrateFacts(entry) {
+    entry.titan_facts = getFacts(entry);
+    return entry.titan_facts;
+}
 
-            if (batch.length > 0) {
-                await batchUpdateLorebook(batch);
-                setChatMetadata("last_index", chat.length);
-                $btn.css("color", "#00ff00");
-                setTimeout(() => $btn.css("color", ""), 2000);
-            }
-        }
+function getCurrentFacts(entry) {
+    return getFacts(entry).filter(f => f.status === "current");
+}
 
-    } catch (e) {
-        console.error("Analysis Failed", e);
-        toast("Titan Memory Error", "error");
-        $btn.css("color", "#ff0000"); 
-    } finally {
-        isProcessing = false;
-        $btn.removeClass("fa-spin");
-        // No pruning call needed here anymore! The interceptor handles it.
+function findFact(facts, text) {
+    const exact = facts.find(f => normalizeFact(f.text) === normalizeFact(text));
+    if (exact) return exact;
+    let best = null, bestScore = 0.5;
+    for (const fact of facts) {
+        const score = factSimilarity(fact.text, text);
+        if (score >= bestScore) { best = fact; bestScore = score; }
     }
+    return best;
 }
 
-// --- CORE: PHANTOM INTERCEPTOR (Replacement for Pruning) ---
-// This function runs automatically by SillyTavern BEFORE sending context to AI.
-globalThis.titan_memory_interceptor = function (chat, _contextSize, _abort, type) {
-    if (!getSetting("enabled") || !getSetting("pruningenabled")) return;
-
-    const ctx = getContext();
-    const IGNORE_SYMBOL = ctx.symbols ? ctx.symbols.ignore : Symbol("ignore");
-    
-    // Safety check: Don't mess with group chats dry-runs sometimes having odd types
-    if (type === 'dry') return; 
-
-    const summaryReserve = 500; 
-    const maxBudget = getSetting("tokenbudget") || 1000;
-    const availableChatBudget = Math.max(200, maxBudget - summaryReserve);
+// The current fact a source record points at: by id, or by exact text for records older than fact_id.
+function findSourceFact(entry, src) {
+    const current = getCurrentFacts(entry);
+    return (src.fact_id && current.find(f => f.id === src.fact_id))
+        || current.find(f => normalizeFact(f.text) === normalizeFact(src.fact || "")) || null;
+}
 
-    let currentTokens = 0;
-    let prunedCount = 0;
+function supersedeFact(fact, reason, replacedBy = null) {
+    fact.status = "superseded";
+    fact.reason = reason;
+    fact.replaced_at = Date.now();
+    if (replacedBy) fact.replaced_by = replacedBy;
+    delete fact.flag;
+}
 
-    // Iterate BACKWARDS (Newest -> Oldest)
-    for (let i = chat.length - 1; i >= 0; i--) {
-        // Crucial: Create a shallow copy of the message so we don't modify the real chat history on disk
-        // We only modify the "extra" flags for this specific generation request.
-        chat[i] = { ...chat[i], extra: { ...chat[i].extra } };
+// Rebuilds content from the current facts and drops the oldest history past fact_history_limit.
+function renderFacts(entry) {
+    const facts = getFacts(entry);
+    entry.content = facts.filter(f => f.status === "current").map(f => f.text).join("\n");
+    const limit = Number(getSetting("fact_history_limit")) || 50;
+    const history = facts.filter(f => f.status !== "current").sort((a, b) => a.replaced_at - b.replaced_at);
+    const dropped = new Set(history.slice(0, Math.max(0, history.length - limit)));
+    entry.titan_facts = facts.filter(f => !dropped.has(f));
+}
 
-        // If the message is already ignored manually, skip it
-        if (chat[i].extra[IGNORE_SYMBOL]) continue;
+// Adds one extracted fact. Returns the new fact, or null when it is already known. `replaces` is the stored fact
+// the Librarian says is no longer true: it moves to history, or the new fact is flagged if we can't find it.
+function addFact(entry, text, { source = null, replaces = null, uncertain = false } = {}) {
+    const facts = migrateFacts(entry);
+    const current = facts.filter(f => f.status === "current");
+    if (current.some(f => normalizeFact(f.text) === normalizeFact(text))) return null;
 
-        // Calculate tokens
-        const tokens = ctx.getTokenCount ? ctx.getTokenCount(chat[i].mes) : (chat[i].mes.length / 3.5);
-        
-        // Check budget
-        if (currentTokens + tokens > availableChatBudget) {
-            // Budget exceeded: Mark this message as IGNORED
-            chat[i].extra[IGNORE_SYMBOL] = true;
-            prunedCount++;
+    const fact = makeFact(text, source);
+    if (uncertain) fact.flag = "uncertain";
+    if (replaces) {
+        const old = findFact(current, replaces);
+        if (old) {
+            supersedeFact(old, "contradicted", fact.id);
+            fact.flag = "replaced";
+            fact.replaces_id = old.id;
+            fact.note = `Replaced "${old.text}".`;
         } else {
-            currentTokens += tokens;
+            fact.flag = "conflict";
+            fact.note = `Contradicts "${replaces}", which isn't stored.`;
         }
     }
-    
-    if (prunedCount > 0 && getSetting("debug")) {
-        console.log(`[Titan Interceptor] Hid ${prunedCount} old messages from AI context. (Used ${Math.round(currentTokens)}/${availableChatBudget} tokens)`);
-    }
-};
+    facts.push(fact);
+    renderFacts(entry);
+    return fact;
+}
+
+// For direct edits of the text (Janitor, inspector, import, purges): lines that stay keep their facts,
+// new lines become facts and removed ones move to history with `reason`.
+function setEntryContent(entry, content, reason, source = null) {
+    const facts = migrateFacts(entry);
+    const lines = splitFactLines(content);
+    const wanted = new Set(lines.map(normalizeFact));
+    for (const fact of facts) {
+        if (fact.status === "current" && !wanted.has(normalizeFact(fact.text))) supersedeFact(fact, reason);
+    }
+    const kept = new Set(facts.filter(f => f.status === "current").map(f => normalizeFact(f.text)));
+    for (const line of lines) {
+        if (kept.has(normalizeFact(line))) continue;
+        facts.push(makeFact(line, source));
+        kept.add(normalizeFact(line));
+    }
+    renderFacts(entry);
+}
+
+// For rewrites of the whole text (the Janitor): each new line takes over the closest current fact, keeping
+// its id, date, source and flag, so repeated consolidation doesn't fill the history. Facts no line
+// took over were merged away and move to history with `reason`. Content keeps the order of the new text.
+function rewriteFacts(entry, content, reason) {
+    const facts = migrateFacts(entry);
+    const open = new Set(facts.filter(f => f.status === "current"));
+    const current = [];
+    for (const line of splitFactLines(content)) {
+        const match = [...open].find(f => normalizeFact(f.text) === normalizeFact(line)) || findFact([...open], line);
+        if (match) {
+            open.delete(match);
+            match.text = line;
+            current.push(match);
+        } else {
+            current.push(makeFact(line));
+        }
+    }
+    for (const fact of open) supersedeFact(fact, reason);
+    entry.titan_facts = [...facts.filter(f => f.status !== "current"), ...current];
+    renderFacts(entry);
+}
+
+// Facts of an extracted (or reviewed) item, one per content line. Flags from the Librarian survive edits of other lines.
+function getItemFacts(item) {
+    const marked = new Map((item.facts || []).map(f => [normalizeFact(f.text), f]));
+    return splitFactLines(item.content).map(text => {
+        const mark = marked.get(normalizeFact(text));
+        return { text, replaces: mark?.replaces || null, uncertain: !!mark?.uncertain };
+    });
+}
+
+function getFlaggedFacts(entry) {
+    return getCurrentFacts(entry).filter(f => f.flag);
+}
+
+// "keep" accepts a flagged fact. "discard" moves it to history and brings back the fact it replaced.
+function resolveFlaggedFact(entry, factId, action) {
+    const facts = migrateFacts(entry);
+    const fact = facts.find(f => f.id === factId && f.status === "current");
+    if (!fact) return false;
+    if (action === "keep") {
+        delete fact.flag;
+        delete fact.note;
+    } else {
+        supersedeFact(fact, "rejected");
+        const old = fact.replaces_id ? facts.find(f => f.id === fact.replaces_id) : null;
+        if (old) {
+            old.status = "current";
+            for (const key of ["reason", "replaced_at", "replaced_by"]) delete old[key];
+        }
+    }
+    renderFacts(entry);
+    return true;
+}
+
+// --- CORE: ENTITY TYPES & RELATIONS ---
+// entry.titan_type is one of ENTITY_TYPES. entry.titan_relations: [{ subject, relation, target, recorded }].
+// Every relation is rendered into the content of the entries on both sides, so it is injected when either one activates.
+const ENTITY_TYPES = ["person", "place", "item", "faction", "other"];
+const RELATIONS_PREFIX = "Relations:";
+
+function normalizeType(type) {
+    const t = String(type || "").toLowerCase().trim();
+    return ENTITY_TYPES.includes(t) ? t : "other";
+}
+
+function getTypeSettings(type) {
+    return { ...defaults.type_settings[normalizeType(type)], ...(getSetting("type_settings") || {})[normalizeType(type)] };
+}
+
+function applyTypeSettings(entry) {
+    const settings = getTypeSettings(entry.titan_type);
+    const number = (value, fallback) => value !== "" && value !== null && Number.isFinite(Number(value)) ? Number(value) : fallback;
+    entry.position = number(settings.position, 0);
+    entry.depth = number(settings.depth, 4);
+    entry.order = number(settings.order, 100);
+    entry.constant = !!settings.constant;
+}
+
+// "Mira — sister of — Kael"; the subject may be left out ("sister of — Kael") and defaults to the entry.
+function parseRelation(text, subject) {
+    const parts = String(text).split(/\s+(?:—|–|-{1,2}>?)\s+|\s*\|\s*/).map(p => p.trim()).filter(Boolean);
+    if (parts.length === 2) return { subject, relation: parts[0], target: parts[1] };
+    if (parts.length === 3) return { subject: parts[0], relation: parts[1], target: parts[2] };
+    return null;
+}
+
+function formatRelation(r) {
+    return `${r.subject} — ${r.relation} — ${r.target}`;
+}
+
+function addRelations(entry, relations) {
+    const existing = entry.titan_relations || [];
+    const seen = new Set(existing.map(r => formatRelation(r).toLowerCase()));
+    for (const r of relations) {
+        if (!r?.relation || !r?.target || seen.has(formatRelation(r).toLowerCase())) continue;
+        seen.add(formatRelation(r).toLowerCase());
+        existing.push({ subject: r.subject, relation: r.relation, target: r.target, recorded: Date.now() });
+    }
+    entry.titan_relations = existing;
+}
+
+// Name used to match relation sides to entries, so aliases point at the same entry.
+function relationKey(bookName, name) {
+    return (findCanonical(bookName, name) || name).toLowerCase().trim();
+}
+
+// Every relation in the book, with the entry it is stored on.
+function getBookRelations(bookName, lorebookData) {
+    return Object.values(lorebookData.entries || {})
+        .filter(e => e.stmemorybooks)
+        .flatMap(e => (e.titan_relations || []).map((r, index) => ({ ...r, owner: e, index })));
+}
+
+// Rebuilds the content of Titan entries: current facts plus one line with every relation touching the entry.
+function renderRelations(bookName, lorebookData) {
+    const relations = getBookRelations(bookName, lorebookData);
+    for (const entry of Object.values(lorebookData.entries || {})) {
+        if (!entry.stmemorybooks) continue;
+        const key = relationKey(bookName, entryTitle(entry));
+        const mine = relations.filter(r => relationKey(bookName, r.subject) === key || relationKey(bookName, r.target) === key);
+        if (!mine.length && !entry.content.includes(RELATIONS_PREFIX)) continue;
+        const facts = splitFactLines(entry.content).join("\n");
+        entry.content = mine.length ? `${facts}\n${RELATIONS_PREFIX} ${mine.map(formatRelation).join("; ")}`.trim() : facts;
+    }
+}
+
+// --- CORE: CONSISTENCY (Edits, Deletes, Swipes, Branches) ---
+// Every processed slice of the chat is stored in chat metadata as { start, end, hash } (end exclusive).
+// When a message changes, the hashes stop matching and the facts taken from that slice become stale.
+let knownChatLength = 0;
+let staleCheckTimer = null;
+let isAskingAboutStale = false;
+
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+}
+
+function fingerprintRange(chat, start, end) {
+    if (start < 0 || end > chat.length || start >= end) return null;
+    return hashString(chat.slice(start, end).map(m => `${m.name}:${m.mes}`).join("\n"));
+}
+
+function getCurrentChatId() {
+    const ctx = getContext();
+    return ctx.getCurrentChatId ? ctx.getCurrentChatId() : null;
+}
+
+function recordProcessedRange(chat, start, end) {
+    const ranges = (getChatMetadata("processed_ranges") || []).filter(r => r.start !== start || r.end !== end);
+    ranges.push({ start, end, hash: fingerprintRange(chat, start, end), date: Date.now() });
+    ranges.sort((a, b) => a.start - b.start);
+    setChatMetadata("processed_ranges", ranges);
+    setChatMetadata("chat_id", getCurrentChatId());
+    knownChatLength = chat.length;
+}
+
+function scheduleConsistencyCheck() {
+    clearTimeout(staleCheckTimer);
+    staleCheckTimer = setTimeout(checkConsistency, 1000);
+}
+
+async function checkConsistency() {
+    const chat = getContext().chat || [];
+    const delta = knownChatLength - chat.length; // > 0 after a delete
+    knownChatLength = chat.length;
+
+    const ranges = getChatMetadata("processed_ranges") || [];
+    const kept = [], stale = [], shifted = [];
+    for (const r of ranges) {
+        if (fingerprintRange(chat, r.start, r.end) === r.hash) {
+            kept.push(r);
+        } else if (delta > 0 && fingerprintRange(chat, r.start - delta, r.end - delta) === r.hash) {
+            // Untouched, but a message before it was deleted.
+            shifted.push(r);
+            kept.push({ ...r, start: r.start - delta, end: r.end - delta });
+        } else {
+            stale.push(r);
+        }
+    }
+
+    let lastIndex = getChatMetadata("last_index") || 0;
+    if (delta > 0) {
+        const firstAffected = Math.min(...[...stale, ...shifted].map(r => r.start));
+        if (firstAffected < lastIndex) lastIndex = Math.max(firstAffected, lastIndex - delta);
+    }
+    if (lastIndex > chat.length) lastIndex = chat.length;
+    if (lastIndex !== (getChatMetadata("last_index") || 0)) setChatMetadata("last_index", lastIndex);
+
+    if (stale.length === 0 && shifted.length === 0) return;
+    setChatMetadata("processed_ranges", kept);
+    await markStaleSources(stale, shifted, Math.max(0, delta));
+
+    if (stale.length > 0) {
+        const staleRanges = [
+            ...(getChatMetadata("stale_ranges") || []),
+            ...stale.map(r => ({ start: r.start, end: Math.min(chat.length, r.end - Math.max(0, delta)) }))
+        ];
+        setChatMetadata("stale_ranges", staleRanges);
+        refreshStaleUI();
+        await handleStaleRanges();
+    }
+}
+
+// Flags facts taken from stale ranges and moves the message indexes of shifted ones.
+async function markStaleSources(stale, shifted, delta) {
+    const chatId = getCurrentChatId();
+    for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        if (lorebookData) await markStaleInBook(bookName, lorebookData, chatId, stale, shifted, delta);
+    }
+}
+
+async function markStaleInBook(bookName, lorebookData, chatId, stale, shifted, delta) {
+    const before = snapshotEntries(lorebookData);
+    for (const entry of Object.values(lorebookData.entries || {})) {
+        for (const src of entry.titan_sources || []) {
+            if (src.chat !== chatId) continue;
+            if (stale.some(r => src.start < r.end && src.end >= r.start)) {
+                src.stale = true;
+                entry.titan_stale = true;
+            } else if (shifted.some(r => src.start >= r.start && src.end < r.end)) {
+                src.start -= delta;
+                src.end -= delta;
+            }
+        }
+    }
+    if (JSON.stringify(before) !== JSON.stringify(lorebookData.entries)) {
+        await commitBookChanges(bookName, lorebookData, before, "stale");
+    }
+}
+
+async function handleStaleRanges() {
+    const action = getSetting("stale_action");
+    if (action === "auto") return reextractStaleRanges();
+    if (action !== "ask" || isAskingAboutStale) return;
+
+    isAskingAboutStale = true;
+    try {
+        const count = (getChatMetadata("stale_ranges") || []).length;
+        const answer = await callGenericPopup(`${count} archived part(s) of this chat were edited or deleted. Re-extract their memories now?`, POPUP_TYPE.CONFIRM);
+        if (answer === POPUP_RESULT.AFFIRMATIVE) await reextractStaleRanges();
+    } finally {
+        isAskingAboutStale = false;
+    }
+}
+
+// Moves the stale facts to history, then runs the Librarian again over the changed messages.
+// A consolidated entry no longer holds those facts as written, so it is re-consolidated after the re-extraction instead.
+async function reextractStaleRanges() {
+    const stale = getChatMetadata("stale_ranges") || [];
+    const reconsolidate = [];
+
+    for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        if (lorebookData) {
+            const before = snapshotEntries(lorebookData);
+            for (const entry of Object.values(lorebookData.entries || {})) {
+                if (!entry.titan_stale) continue;
+                migrateFacts(entry);
+                let unresolved = false;
+                for (const src of (entry.titan_sources || []).filter(s => s.stale)) {
+                    const fact = findSourceFact(entry, src);
+                    if (fact) supersedeFact(fact, "stale");
+                    else unresolved = true;
+                }
+                renderFacts(entry);
+                entry.titan_sources = (entry.titan_sources || []).filter(s => !s.stale);
+                delete entry.titan_stale;
+                if (unresolved && entry.titan_consolidated) {
+                    entry.titan_reconsolidate = true;
+                    reconsolidate.push({ bookName, uid: entry.uid });
+                }
+                if (!entry.content) delete lorebookData.entries[entry.uid];
+            }
+            await commitBookChanges(bookName, lorebookData, before, "reextract");
+        }
+    }
+
+    setChatMetadata("stale_ranges", []);
+    refreshStaleUI();
+
+    const chat = getContext().chat;
+    for (const r of stale) {
+        if (r.start < chat.length && r.end > r.start) enqueueJob("extract", { range: r });
+    }
+    for (const { bookName, uid } of reconsolidate) enqueueJob("consolidate", { bookName, uid });
+    return stale.length;
+}
+
+// A branch (or copy) of a chat carries our metadata over but may be shorter than the original.
+function handleChatIdentity() {
+    const chat = getContext().chat || [];
+    const chatId = getCurrentChatId();
+    knownChatLength = chat.length;
+    if (!chatId) return;
+
+    const storedId = getChatMetadata("chat_id");
+    if (storedId === chatId) return;
+    if (storedId) {
+        debug(`Chat copied from "${storedId}". Trimming progress to ${chat.length} messages.`);
+        setChatMetadata("processed_ranges", (getChatMetadata("processed_ranges") || []).filter(r => r.end <= chat.length));
+        setChatMetadata("stale_ranges", []);
+        setChatMetadata("last_index", Math.min(getChatMetadata("last_index") || 0, chat.length));
+    }
+    setChatMetadata("chat_id", chatId);
+}
+
+// --- CORE: ENTITY ALIASES & FUZZY MATCHING ---
+// The alias registry is stored per book in extension_settings: { canonicalTitle: [alias, ...] }.
+function getAliases(bookName) { return (getSetting("aliases") || {})[bookName] || {}; }
+function setAliases(bookName, registry) {
+    const all = { ...(getSetting("aliases") || {}) };
+    all[bookName] = registry;
+    setSetting("aliases", all);
+}
+
+function addAliases(bookName, canonical, aliases) {
+    const registry = { ...getAliases(bookName) };
+    const known = registry[canonical] || [];
+    const fresh = aliases.filter(a => a.toLowerCase() !== canonical.toLowerCase() && !known.some(k => k.toLowerCase() === a.toLowerCase()));
+    if (fresh.length === 0) return;
+    registry[canonical] = [...known, ...fresh];
+    setAliases(bookName, registry);
+}
+
+function findCanonical(bookName, title) {
+    const search = title.toLowerCase().trim();
+    for (const [canonical, aliases] of Object.entries(getAliases(bookName))) {
+        if (canonical.toLowerCase() === search || aliases.some(a => a.toLowerCase() === search)) return canonical;
+    }
+    return null;
+}
+
+const TITLE_STOPWORDS = new Set(["the", "a", "an", "of", "and"]);
+// Apostrophes stay inside tokens so "Elara's Sword" doesn't share a token with "Elara".
+function titleTokens(title) {
+    return title.toLowerCase().split(/[^\p{L}\p{N}'’]+/u).filter(t => t && !TITLE_STOPWORDS.has(t));
+}
+
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+const FUZZY_MIN_EDIT_LENGTH = 6;
+
+// 0..1 score. Takes the better of edit-distance similarity ("Seraphina" ~ "Seraphine")
+// and token overlap (Jaccard, so "Tavern" alone is not "Red Tavern").
+function titleSimilarity(a, b) {
+    const x = a.toLowerCase().trim(), y = b.toLowerCase().trim();
+    if (!x || !y) return 0;
+    // On short names one letter is a different name (Ella/Bella, Elara/Clara), so spelling only counts from
+    // FUZZY_MIN_EDIT_LENGTH characters on, and only when the first letter matches.
+    const spellable = Math.min(x.length, y.length) >= FUZZY_MIN_EDIT_LENGTH && x[0] === y[0];
+    const editScore = spellable ? 1 - levenshtein(x, y) / Math.max(x.length, y.length) : 0;
+
+    const tx = new Set(titleTokens(x)), ty = new Set(titleTokens(y));
+    let overlapScore = 0;
+    if (tx.size && ty.size) {
+        const shared = [...tx].filter(t => ty.has(t)).length;
+        overlapScore = shared / new Set([...tx, ...ty]).size;
+    }
+    return Math.max(editScore, overlapScore);
+}
+
+// Finds the entry a new title belongs to: alias registry first, then exact title, then fuzzy match.
+function resolveEntry(bookName, lorebookData, title) {
+    const canonical = findCanonical(bookName, title);
+    if (canonical) {
+        const entry = findEntry(lorebookData, canonical);
+        if (entry) return { entry, via: "alias" };
+    }
+
+    const exact = findEntry(lorebookData, title);
+    if (exact) return { entry: exact, via: "exact" };
+
+    if (!getSetting("fuzzy_enabled")) return { entry: null, via: null };
+    const threshold = Number(getSetting("fuzzy_threshold")) || 0.8;
+    let best = null, bestScore = 0;
+    for (const entry of Object.values(lorebookData.entries || {})) {
+        if (!entry.stmemorybooks) continue;
+        const names = [entryTitle(entry), ...(getAliases(bookName)[entryTitle(entry)] || [])];
+        const score = Math.max(...names.map(n => titleSimilarity(title, n)));
+        if (score > bestScore) { best = entry; bestScore = score; }
+    }
+    if (best && bestScore >= threshold) {
+        debug(`Fuzzy match: "${title}" -> "${entryTitle(best)}" (${bestScore.toFixed(2)})`);
+        return { entry: best, via: "fuzzy" };
+    }
+    return { entry: null, via: null };
+}
+
+// Merges entries whose titles the alias registry marks as the same entity.
+async function mergeDuplicateEntries(bookName = getBookName()) {
+    if (!world_names.includes(bookName)) return 0;
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return 0;
+    const before = snapshotEntries(lorebookData);
+
+    const groups = new Map();
+    for (const entry of Object.values(lorebookData.entries || {})) {
+        if (!entry.stmemorybooks) continue;
+        const key = (findCanonical(bookName, entryTitle(entry)) || entryTitle(entry)).toLowerCase().trim();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+
+    let merged = 0;
+    for (const [key, group] of groups) {
+        if (group.length < 2) continue;
+        const target = group.find(e => entryTitle(e).toLowerCase().trim() === key) || group[0];
+        for (const dupe of group) {
+            if (dupe === target) continue;
+            const known = new Set(getCurrentFacts(target).map(f => normalizeFact(f.text)));
+            target.titan_facts = [...getFacts(target), ...getFacts(dupe).filter(f => f.status !== "current" || !known.has(normalizeFact(f.text)))];
+            renderFacts(target);
+            target.key = [...new Set([...(target.key || []), ...(dupe.key || []), entryTitle(dupe)])];
+            target.titan_sources = mergeSources([target, dupe]);
+            addRelations(target, dupe.titan_relations || []);
+            delete lorebookData.entries[dupe.uid];
+            merged++;
+        }
+    }
+
+    if (merged > 0) await commitBookChanges(bookName, lorebookData, before, "dedupe");
+    return merged;
+}
+
+async function ensureBook(bookName) {
+    if (world_names.includes(bookName)) return true;
+    try {
+        await createNewWorldInfo(bookName);
+        toast(`Created: ${bookName}`, "success");
+        return true;
+    } catch (e) {
+        console.error("Creation Failed", e);
+        return false;
+    }
+}
+
+async function bindChatBook(bookName) {
+    if (chat_metadata[METADATA_KEY] === bookName) return;
+    chat_metadata[METADATA_KEY] = bookName;
+    await saveMetadata();
+}
+
+// Attaches a book to a character as an additional lorebook, so it is active whenever that character speaks.
+function bindCharacterBook(avatar, bookName) {
+    const fileName = avatar.replace(/\.[^/.]+$/, "");
+    if (!world_info.charLore) world_info.charLore = [];
+    let charLore = world_info.charLore.find(e => e.name === fileName);
+    if (!charLore) {
+        charLore = { name: fileName, extraBooks: [] };
+        world_info.charLore.push(charLore);
+    }
+    if (charLore.extraBooks.includes(bookName)) return;
+    charLore.extraBooks.push(bookName);
+    saveSettingsDebounced();
+}
+
+function unbindCharacterBooks(bookName) {
+    let changed = false;
+    for (const charLore of world_info.charLore || []) {
+        if (!charLore.extraBooks?.includes(bookName)) continue;
+        charLore.extraBooks = charLore.extraBooks.filter(b => b !== bookName);
+        changed = true;
+    }
+    if (changed) saveSettingsDebounced();
+}
+
+// World Info scan hook: the members' books in group chats, and the shared book in "chat_shared" scope, join
+// the chat's lorebooks for this scan only, so they don't become active in other chats. Active books are skipped.
+async function addScanLore(lore) {
+    const mainBook = getBookName();
+    const extraBooks = getReadBooks().filter(b => b !== mainBook && world_names.includes(b));
+    if (extraBooks.length === 0) return;
+    const active = new Set([...(lore.globalLore || []), ...(lore.characterLore || []), ...(lore.chatLore || []), ...(lore.personaLore || [])].map(e => e.world));
+    for (const bookName of extraBooks.filter(b => !active.has(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        lore.chatLore.push(...Object.values(lorebookData?.entries || {}).map(entry => ({ ...entry, world: bookName })));
+    }
+}
+
+// Picks the book an extracted item belongs to. In group chats, facts about a member go to that
+// member's own book and everything else to the shared group book.
+function routeItem(ctx, rawTitle) {
+    const members = getGroupMembers(ctx);
+    if (members.length === 0) return { bookName: getBookName(ctx), charName: getOwnerName(ctx) };
+    if (isChatScoped()) return { bookName: getBookName(ctx), charName: null };
+
+    const title = normalizeTitle(rawTitle, null);
+    const threshold = Number(getSetting("fuzzy_threshold")) || 0.8;
+    const member = title && members.find(m =>
+        findCanonical(makeBookName(m.name), title) === m.name ||
+        (getSetting("fuzzy_enabled") ? titleSimilarity(title, m.name) >= threshold : title.toLowerCase() === m.name.toLowerCase()));
+
+    if (member) return { bookName: makeBookName(member.name), charName: member.name, avatar: member.avatar };
+    return { bookName: getBookName(ctx), charName: null };
+}
+
+async function batchUpdateLorebook(entriesToProcess, reason = "extraction") {
+    const ctx = getContext();
+    if (!ctx.characterId && !ctx.groupId) return 0;
+
+    const byBook = new Map();
+    for (const item of entriesToProcess) {
+        const target = routeItem(ctx, item.title);
+        if (!byBook.has(target.bookName)) byBook.set(target.bookName, { ...target, items: [] });
+        byBook.get(target.bookName).items.push(item);
+    }
+
+    let updates = 0;
+    for (const target of byBook.values()) {
+        // Books were picked for the chat the job started in.
+        throwIfJobCancelled();
+        if (!await ensureBook(target.bookName)) continue;
+        // Member books are read in by addScanLore, only while this group chat is open.
+        if (!target.avatar) await bindChatBook(target.bookName);
+        updates += await writeToBook(target.bookName, target.charName, target.items, reason);
+    }
+    return updates;
+}
+
+async function writeToBook(bookName, charName, entriesToProcess, reason) {
+    let lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return 0;
+    const before = snapshotEntries(lorebookData);
+
+    let updates = 0;
+    for (const item of entriesToProcess) {
+        const title = normalizeTitle(item.title, charName);
+        if (!title) continue;
+
+        const facts = getItemFacts(item);
+        if (facts.length === 0) continue;
+        const keywords = splitList(item.keywords);
+        const aliases = splitList(item.aliases);
+        let { entry, via } = resolveEntry(bookName, lorebookData, title);
+
+        if (entry) {
+            for (const fact of facts) {
+                addSource(entry, item.source, addFact(entry, fact.text, { source: item.source, replaces: fact.replaces, uncertain: fact.uncertain }));
+            }
+            // A fuzzy match is a guess: it is logged, but never learned as an alias or keyword.
+            if (via === "fuzzy") debug(`Filed "${title}" under "${entryTitle(entry)}" (fuzzy match, not saved as an alias).`);
+            addAliases(bookName, entryTitle(entry), aliases);
+            entry.key = [...new Set([...(entry.key || []), ...keywords, ...aliases])];
+            // A typed reply refines an untyped entry; an established type is not flipped back and forth.
+            if (item.type && (!entry.titan_type || entry.titan_type === "other") && normalizeType(item.type) !== "other") {
+                entry.titan_type = normalizeType(item.type);
+                applyTypeSettings(entry);
+            }
+            addRelations(entry, (item.relations || []).map(r => ({ ...r, subject: r.subject || entryTitle(entry) })));
+            entry.titan_updated = Date.now();
+            updates++;
+        } else {
+            let newEntry = createWorldInfoEntry(bookName, lorebookData);
+            if (newEntry) {
+                newEntry.displayName = title;
+                newEntry.comment = title;
+                newEntry.key = [...new Set([...keywords, ...aliases])];
+                newEntry.content = "";
+                newEntry.enabled = true;
+                newEntry.stmemorybooks = true; 
+                newEntry.titan_updated = Date.now();
+                newEntry.titan_type = normalizeType(item.type);
+                applyTypeSettings(newEntry);
+                addRelations(newEntry, (item.relations || []).map(r => ({ ...r, subject: r.subject || title })));
+                for (const fact of facts) {
+                    addSource(newEntry, item.source, addFact(newEntry, fact.text, { source: item.source, uncertain: fact.uncertain }));
+                }
+                addAliases(bookName, title, aliases);
+                updates++;
+            }
+        }
+    }
+
+    if (updates > 0) {
+        await commitBookChanges(bookName, lorebookData, before, reason);
+        if (getSetting("debug") || getSetting("show_toasts")) toast(`Saved ${updates} memories.`, "success");
+    }
+    
+    if (getSetting("consolidation_enabled")) {
+        enqueueJob("consolidate", { bookName });
+    }
+    
+    return updates;
+}
+
+// --- CORE: THE JANITOR (Consolidation) ---
+// Always-on (constant) entries are included: entity types can make a whole type constant, and those entries grow like any other.
+function getJanitorCandidates(lorebookData) {
+    return Object.values(lorebookData.entries || {}).filter(e => e.enabled && e.stmemorybooks);
+}
+
+function keySimilarity(a, b) {
+    const x = new Set((a.key || []).map(k => k.toLowerCase().trim()).filter(Boolean));
+    const y = new Set((b.key || []).map(k => k.toLowerCase().trim()).filter(Boolean));
+    if (!x.size || !y.size) return 0;
+    const shared = [...x].filter(k => y.has(k)).length;
+    return shared / (x.size + y.size - shared);
+}
+
+function isSameEntity(bookName, a, b) {
+    const canonicalA = findCanonical(bookName, entryTitle(a));
+    if (canonicalA && canonicalA === findCanonical(bookName, entryTitle(b))) return true;
+
+    const titleScore = getSetting("fuzzy_enabled")
+        ? titleSimilarity(entryTitle(a), entryTitle(b))
+        : Number(entryTitle(a).toLowerCase().trim() === entryTitle(b).toLowerCase().trim());
+    if (titleScore >= (Number(getSetting("fuzzy_threshold")) || 0.8)) return true;
+
+    return keySimilarity(a, b) >= (Number(getSetting("consolidation_key_overlap")) || 0.5);
+}
+
+// Groups candidates that describe the same entity. Single entries only make the plan when they are over the size limit.
+function planJanitor(bookName, lorebookData) {
+    const candidates = getJanitorCandidates(lorebookData);
+    const maxTokens = Number(getSetting("consolidation_max_tokens")) || 400;
+
+    // The registry's canonical names come first, then the entries with the most content. Each takes the
+    // still ungrouped entries that match it directly; matches of matches are not pulled in.
+    const aliases = getAliases(bookName);
+    const ordered = [...candidates].sort((a, b) => Number(!!aliases[entryTitle(b)]) - Number(!!aliases[entryTitle(a)]) || b.content.length - a.content.length);
+    const grouped = new Set();
+    const plan = [];
+    for (const primary of ordered) {
+        if (grouped.has(primary)) continue;
+        const entries = [primary, ...ordered.filter(e => e !== primary && !grouped.has(e) && isSameEntity(bookName, primary, e))];
+        entries.forEach(e => grouped.add(e));
+
+        const oversized = entries.some(e => countTokens(e.content) > maxTokens);
+        const flagged = entries.some(e => e.titan_reconsolidate);
+        if (entries.length < 2 && !oversized && !flagged) continue;
+        plan.push({ title: entryTitle(primary), primary, entries, reason: entries.length > 1 ? "duplicate" : oversized ? "oversized" : "stale" });
+    }
+    return { candidates: candidates.length, plan };
+}
+
+function formatJanitorPlan(plan) {
+    return plan.map(g => g.reason === "oversized" ? `${g.title}: condense (over size limit)`
+        : g.reason === "stale" ? `${g.title}: re-consolidate (source messages changed)`
+        : `${g.title} <- ${g.entries.map(entryTitle).join(", ")}`).join("\n");
+}
+
+// Returns the parsed reply, or null when the model gave no content.
+async function requestCondensation(group) {
+    const maxTokens = Number(getSetting("consolidation_max_tokens")) || 400;
+    const recordsText = group.entries.map(e => `Title: ${entryTitle(e)}\nKeywords: ${(e.key || []).join(', ')}\nContent: ${e.content}`).join("\n---\n");
+    const prompt = getSetting("merge_prompt")
+        .replace("{{RECORDS}}", recordsText)
+        .replace(/{{TITLE}}/g, group.title)
+        .replace("{{MAX_TOKENS}}", maxTokens);
+
+    // An over-long reply is asked for once more; cutting it down would silently drop facts.
+    let parsed = null;
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const note = attempt ? `\n\n[Your last answer was over ${maxTokens} tokens. Shorten it by merging facts, don't drop them.]` : "";
+        parsed = robustJSONParse(await generateForRole("consolidation", prompt + note));
+        if (!parsed || !parsed.content) return null;
+        if (countTokens(String(parsed.content)) <= maxTokens * 1.1) break;
+        parsed = null;
+    }
+    if (!parsed) throw new Error(`Consolidation of "${group.title}" stayed over ${maxTokens} tokens`);
+    return parsed;
+}
+
+function applyCondensation(bookName, lorebookData, group, parsed) {
+    const primary = group.primary;
+    primary.titan_facts = group.entries.flatMap(e => getFacts(e));
+    rewriteFacts(primary, String(parsed.content).trim(), "consolidated");
+    primary.key = [...new Set([...group.entries.flatMap(e => e.key || []), ...splitList(parsed.keywords)])];
+    primary.titan_sources = mergeSources(group.entries);
+    addRelations(primary, group.entries.flatMap(e => e === primary ? [] : e.titan_relations || []));
+    primary.titan_consolidated = true;
+    delete primary.titan_reconsolidate;
+    primary.titan_consolidated_at = Date.now();
+    primary.titan_updated = primary.titan_consolidated_at;
+
+    for (const e of group.entries) {
+        if (e === primary) continue;
+        if (entryTitle(e).toLowerCase() !== group.title.toLowerCase()) addAliases(bookName, group.title, [entryTitle(e)]);
+        delete lorebookData.entries[e.uid];
+    }
+}
+
+// The group's entries in a freshly loaded book, or null when one of them was edited or deleted since `sent`.
+function refreshGroup(lorebookData, group, sent) {
+    const entries = sent.map(s => lorebookData.entries?.[s.uid]);
+    if (entries.some((e, i) => !e || e.content !== sent[i].content || entryTitle(e) !== sent[i].title)) return null;
+    return { ...group, primary: entries[group.entries.indexOf(group.primary)], entries };
+}
+
+// Asks for every group's condensation first, then applies the replies to a fresh copy of the book: review,
+// the inspector, commands and undo write outside the queue and may have changed it during the calls.
+// Groups that changed meanwhile are left for the next run.
+async function condenseGroups(bookName, plan) {
+    const replies = [];
+    let lastError = null;
+    for (const group of plan) {
+        const sent = group.entries.map(e => ({ uid: e.uid, title: entryTitle(e), content: e.content }));
+        try {
+            const parsed = await requestCondensation(group);
+            if (parsed) replies.push({ group, sent, parsed });
+        } catch (e) {
+            console.error("Janitor Failed:", e);
+            lastError = e;
+        }
+        throwIfJobCancelled();
+    }
+    if (replies.length === 0) return { merged: 0, lastError };
+
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return { merged: 0, lastError };
+    const before = snapshotEntries(lorebookData);
+    let merged = 0;
+    for (const { group, sent, parsed } of replies) {
+        const current = refreshGroup(lorebookData, group, sent);
+        if (!current) {
+            debug(`Janitor: "${group.title}" changed during consolidation. Left for the next run.`);
+            continue;
+        }
+        applyCondensation(bookName, lorebookData, current, parsed);
+        merged++;
+    }
+    if (merged > 0) await commitBookChanges(bookName, lorebookData, before, "janitor");
+    return { merged, lastError };
+}
+
+async function runJanitor(bookName, lorebookData, force = false) {
+    const { candidates, plan } = planJanitor(bookName, lorebookData);
+    const threshold = getSetting("consolidation_threshold") || 10;
+    if (plan.length === 0) return 0;
+    if (!force && candidates <= threshold && plan.every(g => g.reason === "duplicate")) return 0;
+
+    debug(`Janitor: Found ${candidates} candidates. Threshold is ${threshold}. Consolidating ${plan.length} groups:\n${formatJanitorPlan(plan)}`);
+    const { merged, lastError } = await condenseGroups(bookName, plan);
+
+    if (merged > 0) {
+        console.log(`[Titan Janitor] Consolidated ${merged} of ${plan.length} groups.`);
+        toast("Titan Janitor: Optimized Memory", "success");
+    }
+    // Only a run where every group failed is worth retrying; partial leftovers are picked up next time.
+    if (merged === 0 && lastError) throw lastError;
+    return merged;
+}
+
+async function runJanitorJob(bookName, force = false) {
+    if (!world_names.includes(bookName)) return;
+    const lorebookData = await loadWorldInfo(bookName);
+    if (lorebookData) await runJanitor(bookName, lorebookData, force);
+}
+
+// Re-runs consolidation for one entry, together with any entries the Janitor would group it with.
+async function consolidateEntry(bookName, uid) {
+    if (!world_names.includes(bookName)) return;
+    const lorebookData = await loadWorldInfo(bookName);
+    const entry = lorebookData?.entries?.[uid];
+    if (!entry) return;
+
+    const group = planJanitor(bookName, lorebookData).plan.find(g => g.entries.includes(entry))
+        || { title: entryTitle(entry), primary: entry, entries: [entry] };
+    const { merged, lastError } = await condenseGroups(bookName, [group]);
+    if (lastError) throw lastError;
+    // Thrown so the queue retries with the entry as it is now.
+    if (!merged) throw new Error(`Consolidation of "${entryTitle(entry)}" returned no content or the entry changed meanwhile`);
+    toast(`Consolidated "${group.title}".`, "success");
+}
+
+// Manual trigger for /tm-janitor and the settings buttons. Returns the current plan, or null when there is no book yet.
+async function runJanitorNow(previewOnly = false) {
+    const bookName = getBookName();
+    if (!world_names.includes(bookName)) return null;
+    const lorebookData = await loadWorldInfo(bookName);
+    if (!lorebookData) return null;
+
+    const { plan } = planJanitor(bookName, lorebookData);
+    if (!previewOnly && plan.length > 0) enqueueJob("consolidate", { bookName, force: true });
+    return { plan };
+}
+
+// --- CORE: EXPORT / IMPORT ---
+// Portable file: { format: "titan-memory", version, book, exported, entries, aliases, state }.
+// `state` (summaries and processing progress) is only included for books of the current chat.
+const EXPORT_FORMAT = "titan-memory";
+const EXPORT_VERSION = 1;
+
+function listTitanBooks() {
+    return [...new Set([...getChatBooks(), ...world_names.filter(b => b.startsWith("Titan Memory - "))])];
+}
+
+async function buildMemoryExport(bookName) {
+    const lorebookData = world_names.includes(bookName) ? await loadWorldInfo(bookName) : null;
+    const entries = Object.values(lorebookData?.entries || {}).filter(e => e.stmemorybooks).map(e => ({
+        title: entryTitle(e),
+        keys: e.key || [],
+        content: e.content,
+        enabled: e.enabled !== false,
+        sources: e.titan_sources || [],
+        facts: getFacts(e),
+        type: e.titan_type || "other",
+        relations: e.titan_relations || [],
+        consolidated: !!e.titan_consolidated,
+        updated: e.titan_updated || null
+    }));
+
+    const state = getChatBooks().includes(bookName) ? {
+        chat_id: getCurrentChatId(),
+        last_index: getChatMetadata("last_index") || 0,
+        processed_ranges: getChatMetadata("processed_ranges") || [],
+        story_so_far: getChatMetadata("story_so_far") || "",
+        recent_summaries: getChatMetadata("recent_summaries") || []
+    } : null;
+
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, book: bookName, exported: Date.now(), entries, aliases: getAliases(bookName), state };
+}
+
+function buildMemoryDossier(memory) {
+    const lines = [`# ${memory.book}`, "", `_Exported ${new Date(memory.exported).toLocaleString()}_`, ""];
+    if (memory.state?.story_so_far || memory.state?.recent_summaries?.length) {
+        lines.push("## Story So Far", "", memory.state.story_so_far || "", ...memory.state.recent_summaries.map(s => s.text), "");
+    }
+    for (const entry of [...memory.entries].sort((a, b) => a.title.localeCompare(b.title))) {
+        lines.push(`## ${entry.title}`, "");
+        if (entry.type) lines.push(`**Type:** ${entry.type}  `);
+        if (entry.keys.length) lines.push(`**Keywords:** ${entry.keys.join(", ")}  `);
+        if (memory.aliases[entry.title]?.length) lines.push(`**Aliases:** ${memory.aliases[entry.title].join(", ")}  `);
+        if (!entry.enabled) lines.push("**Disabled**  ");
+        lines.push("", splitFactLines(entry.content).join("\n"), "");
+        if (entry.relations?.length) lines.push(...entry.relations.map(r => `- ${formatRelation(r)}`), "");
+        if (entry.sources.length) lines.push(`_Sources: ${entry.sources.map(s => `#${s.start}–#${s.end}`).join(", ")}_`, "");
+    }
+    return lines.join("\n");
+}
+
+const FACT_STATUSES = ["current", "superseded"];
+
+// Returns a description of the first problem, or null when the file can be imported.
+function validateMemoryExport(memory) {
+    if (!memory || typeof memory !== "object") return "Not a JSON object.";
+    if (memory.format !== EXPORT_FORMAT) return "Not a Titan Memory export.";
+    if (!Number.isInteger(memory.version) || memory.version > EXPORT_VERSION) return `Unsupported version ${memory.version}. Update Titan Memory.`;
+    if (!Array.isArray(memory.entries)) return "Missing entries.";
+    const bad = memory.entries.findIndex(e => !e || typeof e.title !== "string" || !e.title.trim() || typeof e.content !== "string"
+        || (e.keys !== undefined && !Array.isArray(e.keys)));
+    if (bad >= 0) return `Entry ${bad + 1} needs a title and text.`;
+    const badSources = memory.entries.findIndex(e => e.sources !== undefined && (!Array.isArray(e.sources)
+        || !e.sources.every(s => s && typeof s === "object" && Number.isInteger(s.start) && Number.isInteger(s.end))));
+    if (badSources >= 0) return `Entry ${badSources + 1} has malformed sources.`;
+    const badFacts = memory.entries.findIndex(e => e.facts !== undefined && (!Array.isArray(e.facts)
+        || !e.facts.every(f => f && typeof f === "object" && typeof f.text === "string" && (f.status === undefined || FACT_STATUSES.includes(f.status)))));
+    if (badFacts >= 0) return `Entry ${badFacts + 1} has malformed facts.`;
+    if (memory.aliases !== undefined && (typeof memory.aliases !== "object" || Array.isArray(memory.aliases))) return "Aliases must be an object.";
+    return null;
+}
+
+// Facts from hand-written or older exports may lack an id or status; those count as current.
+function normalizeImportedFacts(facts) {
+    return structuredClone(facts).map(f => ({ ...f, id: f.id ? String(f.id) : makeId(), status: f.status || "current" }));
+}
+
+// Writes an export into a book. mode "replace" removes Titan's existing entries first; in "merge" mode,
+// entries that already exist are handled by the import_conflict setting (merge, keep or overwrite).
+async function importMemory(bookName, memory, mode, withState = true) {
+    if (!await ensureBook(bookName)) throw new Error(`Couldn't create ${bookName}`);
+    const lorebookData = await loadWorldInfo(bookName);
+    const before = snapshotEntries(lorebookData);
+    const conflict = getSetting("import_conflict") || "merge";
+    const result = { added: 0, merged: 0, skipped: 0 };
+
+    if (mode === "replace") {
+        for (const entry of Object.values(lorebookData.entries || {})) {
+            if (entry.stmemorybooks) delete lorebookData.entries[entry.uid];
+        }
+        setAliases(bookName, {});
+    }
+    for (const [canonical, aliases] of Object.entries(memory.aliases || {})) addAliases(bookName, canonical, splitList(aliases));
+
+    for (const item of memory.entries) {
+        const keys = splitList(item.keys);
+        const { entry } = resolveEntry(bookName, lorebookData, item.title);
+        if (!entry) {
+            const newEntry = createWorldInfoEntry(bookName, lorebookData);
+            if (!newEntry) continue;
+            newEntry.displayName = item.title;
+            newEntry.comment = item.title;
+            newEntry.key = keys;
+            const facts = Array.isArray(item.facts) ? normalizeImportedFacts(item.facts) : [];
+            if (facts.some(f => f.status === "current")) {
+                newEntry.titan_facts = facts;
+                renderFacts(newEntry);
+            } else {
+                setEntryContent(newEntry, item.content, "import");
+            }
+            newEntry.enabled = item.enabled !== false;
+            newEntry.titan_type = normalizeType(item.type);
+            applyTypeSettings(newEntry);
+            if (Array.isArray(item.relations)) addRelations(newEntry, item.relations);
+            newEntry.stmemorybooks = true;
+            newEntry.titan_sources = item.sources || [];
+            if (item.consolidated) newEntry.titan_consolidated = true;
+            newEntry.titan_updated = item.updated || Date.now();
+            result.added++;
+        } else if (entry.content === item.content || conflict === "keep") {
+            result.skipped++;
+        } else {
+            if (conflict === "overwrite") {
+                setEntryContent(entry, item.content, "import");
+                entry.key = keys;
+                entry.titan_sources = item.sources || [];
+            } else {
+                splitFactLines(item.content).forEach(line => addFact(entry, line));
+                entry.key = [...new Set([...(entry.key || []), ...keys])];
+                entry.titan_sources = mergeSources([entry, { titan_sources: item.sources || [] }]);
+                if (Array.isArray(item.relations)) addRelations(entry, item.relations);
+            }
+            entry.titan_updated = Date.now();
+            result.merged++;
+        }
+    }
+
+    await commitBookChanges(bookName, lorebookData, before, "import");
+    if (withState && memory.state && getChatBooks().includes(bookName)) applyImportedState(memory.state, mode === "replace");
+    return result;
+}
+
+// Summaries only replace an empty story (or everything in replace mode). Progress only applies to the chat it came from.
+function applyImportedState(state, replace) {
+    if (replace || !getStoryText()) {
+        setChatMetadata("story_so_far", String(state.story_so_far || ""));
+        setChatMetadata("recent_summaries", Array.isArray(state.recent_summaries) ? state.recent_summaries : []);
+        updateSummaryInjection();
+        refreshSummaryUI();
+    }
+    if (state.chat_id && state.chat_id === getCurrentChatId()) {
+        setChatMetadata("last_index", Math.min(Number(state.last_index) || 0, getContext().chat.length));
+        setChatMetadata("processed_ranges", Array.isArray(state.processed_ranges) ? state.processed_ranges : []);
+    }
+}
+
+// For sequels: the target character gets its own book, attached to the character so every chat sees it.
+async function copyMemoryToCharacter(sourceBook, avatar) {
+    const target = getContext().characters.find(c => c.avatar === avatar);
+    if (!target) return null;
+    const targetBook = makeBookName(target.name);
+    if (targetBook === sourceBook) return null;
+    const result = await importMemory(targetBook, await buildMemoryExport(sourceBook), "merge", false);
+    bindCharacterBook(target.avatar, targetBook);
+    return { targetBook, ...result };
+}
+
+// --- CORE: WIPE ---
+// Whether a journal record holds any of a chat's facts, in either snapshot.
+function journalMentionsChat(record, chatId) {
+    return record.changes.some(c => [c.before, c.after].some(e => e && (
+        (e.titan_sources || []).some(s => s.chat === chatId)
+        || (e.titan_facts || []).some(f => f.source?.chat === chatId))));
+}
+
+// Deletes this chat's facts from an entry, history included. Returns false when a consolidated entry
+// still mixes them into text shared with other chats and has to be cleaned by hand.
+function removeChatFacts(entry, chatId) {
+    migrateFacts(entry);
+    const fromChat = (entry.titan_sources || []).filter(s => s.chat === chatId);
+    const linked = fromChat.map(src => findSourceFact(entry, src));
+    const drop = new Set([...linked.filter(Boolean), ...getFacts(entry).filter(f => f.source?.chat === chatId)]);
+    entry.titan_facts = getFacts(entry).filter(f => !drop.has(f));
+    entry.titan_sources = (entry.titan_sources || []).filter(s => s.chat !== chatId);
+    renderFacts(entry);
+    if (!entry.titan_consolidated || linked.every(Boolean)) return true;
+    // Nothing from other chats is left in it, so the whole rewritten text came from here.
+    if (entry.titan_sources.length > 0) return false;
+    entry.titan_facts = [];
+    entry.content = "";
+    return true;
+}
+
+// Every option downloads a JSON backup of the chat's books first.
+// "progress" forgets what was processed, "chat" also removes the facts taken from this chat, "book" deletes the books.
+async function wipeMemory(mode) {
+    const books = getChatBooks().filter(b => world_names.includes(b));
+    for (const bookName of books) {
+        download(JSON.stringify(await buildMemoryExport(bookName), null, 2), exportFileName(`${bookName} backup`, "json"), "application/json");
+    }
+
+    cancelCurrentJob();
+    saveJobs([]);
+    for (const key of ["last_index", "processed_ranges", "stale_ranges", "backfill"]) setChatMetadata(key, null);
+
+    if (mode === "chat") {
+        const chatId = getCurrentChatId();
+        for (const bookName of books) {
+            const lorebookData = await loadWorldInfo(bookName);
+            if (!lorebookData) continue;
+            const before = snapshotEntries(lorebookData);
+            const mixed = [];
+            for (const entry of Object.values(lorebookData.entries || {})) {
+                if (!entry.stmemorybooks) continue;
+                const touched = (entry.titan_sources || []).some(s => s.chat === chatId) || getFacts(entry).some(f => f.source?.chat === chatId);
+                if (!touched) continue;
+                if (!removeChatFacts(entry, chatId)) mixed.push(entryTitle(entry));
+                if (!entry.content) delete lorebookData.entries[entry.uid];
+            }
+            await commitBookChanges(bookName, lorebookData, before, "wipe");
+            // Undo snapshots would bring the deleted facts back.
+            setJournal(bookName, getJournal(bookName).filter(r => !journalMentionsChat(r, chatId)));
+            refreshHistoryUI();
+            if (mixed.length) toast(`Consolidated entries that also hold other chats were kept: ${mixed.join(", ")}. Edit them in the Memory Inspector.`, "warning");
+        }
+    } else if (mode === "book") {
+        for (const bookName of books) {
+            await deleteWorldInfo(bookName);
+            setJournal(bookName, []);
+            setAliases(bookName, {});
+            unbindCharacterBooks(bookName);
+            if (chat_metadata[METADATA_KEY] === bookName) {
+                delete chat_metadata[METADATA_KEY];
+                await saveMetadata();
+            }
+        }
+        refreshHistoryUI();
+        refreshInspectorUI();
+    }
+
+    if (mode !== "progress") {
+        setChatMetadata("story_so_far", "");
+        setChatMetadata("recent_summaries", []);
+        setChatMetadata("rolled_up_ranges", []);
+        setChatMetadata("pending_review", []);
+        updateSummaryInjection();
+        refreshSummaryUI();
+        refreshReviewPanels();
+    }
+    refreshStaleUI();
+    refreshBackfillUI();
+    return books.length;
+}
+
+// --- CORE: REVIEW QUEUE (Staging) ---
+function getPendingReview() { return getChatMetadata("pending_review") || []; }
+
+function queueForReview(batch) {
+    const pending = getPendingReview();
+    for (const item of batch) {
+        pending.push({
+            id: makeId(),
+            title: item.title.trim(),
+            keywords: splitList(item.keywords).join(', '),
+            aliases: splitList(item.aliases).join(', '),
+            content: item.content.trim(),
+            facts: item.facts || null,
+            type: item.type || null,
+            relations: item.relations || [],
+            source: item.source || null,
+            date: Date.now()
+        });
+    }
+    setChatMetadata("pending_review", pending);
+    refreshReviewPanels();
+    toast(`${batch.length} memories waiting for review (/tm-review).`, "info");
+}
+
+function updateReviewItem(id, changes) {
+    setChatMetadata("pending_review", getPendingReview().map(p => p.id === id ? { ...p, ...changes } : p));
+}
+
+// Items leave the queue only once they are written; isAcceptingReview stops a second click from writing them twice.
+async function acceptReviewItems(ids) {
+    const ctx = getContext();
+    if (!ctx.characterId && !ctx.groupId) return toast("Open a character or group chat first.", "warning");
+    if (isAcceptingReview) return;
+
+    const accepted = getPendingReview().filter(p => ids.includes(p.id));
+    if (accepted.length === 0) return;
+
+    isAcceptingReview = true;
+    try {
+        if (await batchUpdateLorebook(accepted, "review") > 0) {
+            setChatMetadata("pending_review", getPendingReview().filter(p => !ids.includes(p.id)));
+        } else {
+            toast("Nothing could be saved. The memories are still waiting for review.", "warning");
+        }
+    } catch (e) {
+        console.error("Review Save Failed", e);
+        toast(`Saving failed: ${e.message}. The memories are still waiting for review.`, "error");
+    } finally {
+        isAcceptingReview = false;
+        refreshReviewPanels();
+    }
+}
+
+// Rejected items are junk; their messages are covered by the summary and any accepted items, so they may be pruned again.
+function rejectReviewItems(ids) {
+    setChatMetadata("pending_review", getPendingReview().filter(p => !ids.includes(p.id)));
+    refreshReviewPanels();
+}
+
+// --- CORE: STORY SO FAR (Rolling Summary) ---
+function getStoryText() {
+    const story = (getChatMetadata("story_so_far") || "").trim();
+    const recent = (getChatMetadata("recent_summaries") || []).map(s => (s.text || "").trim());
+    return [story, ...recent].filter(Boolean).join("\n\n");
+}
+
+// Keeps the newest part of the text when it exceeds the cap (old events are the least important).
+function trimToTokens(text, cap) {
+    if (countTokens(text) <= cap) return text;
+    const ratio = cap / countTokens(text);
+    return "..." + text.slice(Math.floor(text.length * (1 - ratio)));
+}
+
+function updateSummaryInjection() {
+    const text = getStoryText();
+    if (!getSetting("enabled") || !getSetting("summary_enabled") || !text) {
+        setExtensionPrompt(MODULENAME, "", extension_prompt_types.NONE, 0);
+        return;
+    }
+
+    const cap = Number(getSetting("summary_token_cap")) || 500;
+    const block = getSetting("summary_template").replace("{{SUMMARY}}", trimToTokens(text, cap));
+    const depth = Number(getSetting("summary_depth")) || 0;
+    setExtensionPrompt(MODULENAME, block, extension_prompt_types.IN_CHAT, depth, false, getPromptRole(getSetting("summary_role")));
+}
+
+function getPromptRole(name) {
+    const roles = {
+        system: extension_prompt_roles.SYSTEM,
+        user: extension_prompt_roles.USER,
+        assistant: extension_prompt_roles.ASSISTANT
+    };
+    return roles[name] ?? roles.system;
+}
+
+// Ranges are [start, end). A forced re-run (/tm-scene N) over messages that were already summarized replaces
+// the overlapping summaries, or is dropped when the story so far already covers all of it.
+async function addSummary(text, start, end) {
+    const rolledUp = getChatMetadata("rolled_up_ranges") || [];
+    if (rolledUp.some(r => r.start <= start && end <= r.end)) {
+        debug(`Messages ${start}-${end - 1} are already in the story so far. Summary skipped.`);
+        return;
+    }
+    // A re-run covers the summary it replaces; backfill windows only overlap by a few messages and both stay.
+    const recent = (getChatMetadata("recent_summaries") || []).filter(s => !(Number.isInteger(s.start) && start <= s.start && s.end <= end));
+    recent.push({ text: text.trim(), start, end, date: Date.now() });
+    recent.sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+    setChatMetadata("recent_summaries", recent);
+
+    const cap = Number(getSetting("summary_token_cap")) || 500;
+    if (countTokens(getStoryText()) > cap) await rollUpSummaries();
+
+    updateSummaryInjection();
+    refreshSummaryUI();
+}
+
+async function rollUpSummaries() {
+    const recent = getChatMetadata("recent_summaries") || [];
+    if (recent.length === 0) return;
+
+    const cap = Number(getSetting("summary_token_cap")) || 500;
+    const prompt = getSetting("rollup_prompt")
+        .replace("{{STORY}}", getChatMetadata("story_so_far") || "(Nothing yet)")
+        .replace("{{RECENT}}", recent.map(s => s.text).join("\n"))
+        .replace("{{TOKENS}}", Math.floor(cap * 0.8));
+
+    try {
+        const result = await generateForRole("consolidation", prompt);
+        throwIfJobCancelled();
+        if (!result.trim()) throw new Error("No response");
+        setChatMetadata("story_so_far", result.trim());
+        setChatMetadata("recent_summaries", []);
+        setChatMetadata("rolled_up_ranges", mergeRanges([...(getChatMetadata("rolled_up_ranges") || []), ...recent.filter(s => Number.isInteger(s.start))]));
+        debug(`Rolled ${recent.length} summaries into the story so far.`);
+    } catch (e) {
+        // A cancelled job's chat may be gone; its caller must stop writing too.
+        throwIfJobCancelled();
+        // Keep the raw summaries; the injection trims them to the cap until the next roll-up works.
+        console.error("Roll-up Failed:", e);
+    }
+}
+
+// Sorted, merged copies of [start, end) ranges.
+function mergeRanges(ranges) {
+    const merged = [];
+    for (const r of [...ranges].sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+        else merged.push({ start: r.start, end: r.end });
+    }
+    return merged;
+}
+
+function refreshSummaryUI() {
+    $("#titan-story-so-far").val(getChatMetadata("story_so_far") || "");
+    $("#titan-recent-summaries").val((getChatMetadata("recent_summaries") || []).map(s => s.text).join("\n\n"));
+}
+
+// --- CORE: EXTRACTION PARSING ---
+function logExtraction(mode, raw, errors = []) {
+    debugLog.push({ date: Date.now(), mode: mode, raw: String(raw || ""), errors: errors });
+    while (debugLog.length > 20) debugLog.shift();
+    if (errors.length) debug(`Parse failure (${mode}):`, errors);
+    refreshDebugLogUI();
+}
+
+function parseTextExtraction(result) {
+    let summaryText = "";
+    let entityData = result;
+
+    if (result.includes("--- ENTITY DATA ---")) {
+        const parts = result.split("--- ENTITY DATA ---", 2);
+        summaryText = parts[0].trim();
+        entityData = parts[1].trim();
+    }
+
+    if (entityData.includes("NO DATA")) {
+        logExtraction("text", result);
+        return { summaryText, batch: [], noData: true };
+    }
+
+    const entryRegex = /[\*\#\s]*ENTRY[\*\#\s]*:\s*(.*?)\n(?:[\*\#\s]*ALIASES[\*\#\s]*:[ \t]*(.*?)\n)?[\*\#\s]*KEYWORDS[\*\#\s]*:\s*(.*?)\n[\*\#\s]*CONTENT[\*\#\s]*:\s*([\s\S]*?)(?=(?:[\*\#\s]*ENTRY|$))/gi;
+    let match;
+    const batch = [];
+
+    while ((match = entryRegex.exec(entityData)) !== null) {
+        if (match[1] && match[4]) batch.push({ title: match[1], aliases: match[2], keywords: match[3], ...parseContentBlock(match[4]) });
+    }
+
+    logExtraction("text", result, batch.length ? [] : ["No ENTRY / KEYWORDS / CONTENT blocks found."]);
+    return { summaryText, batch, noData: false };
+}
+
+// CONTENT lines (the label may repeat) plus optional REPLACES / UNCERTAIN fields, which belong to the fact
+// right above them (or the first fact, when they come before any). TYPE and RELATIONS describe the entry.
+function parseContentBlock(block) {
+    let type = null;
+    const lines = [], relations = [], facts = [];
+    let pending = { replaces: null, uncertain: false };
+    for (const raw of block.split("\n")) {
+        const line = raw.replace(/^[\*\#\s]*CONTENT[\*\#\s]*:\s*/i, "");
+        const field = line.match(/^[\*\#\s]*(REPLACES|UNCERTAIN|TYPE|RELATIONS)[\*\#\s]*:\s*(.*)$/i);
+        const target = facts[facts.length - 1] || pending;
+        if (!field) {
+            lines.push(line);
+            const text = line.trim();
+            if (text && !text.startsWith(RELATIONS_PREFIX)) {
+                facts.push({ text, ...pending });
+                pending = { replaces: null, uncertain: false };
+            }
+        }
+        else if (field[1].toUpperCase() === "REPLACES") target.replaces = field[2].trim() || target.replaces;
+        else if (field[1].toUpperCase() === "UNCERTAIN") target.uncertain = target.uncertain || /^(yes|true|y)\b/i.test(field[2].trim());
+        else if (field[1].toUpperCase() === "TYPE") type = field[2].replace(/[\[\]]/g, "").trim() || null;
+        else relations.push(...field[2].split(";").map(r => parseRelation(r.replace(/[\[\]]/g, ""), null)).filter(Boolean));
+    }
+    return { content: lines.join("\n").trim(), facts, type, relations };
+}
+
+function validateExtraction(doc) {
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["The reply must be a single JSON object."];
+
+    const errors = [];
+    const isStringArray = (v) => Array.isArray(v) && v.every(x => typeof x === "string");
+    if (typeof doc.summary !== "string" && !isStringArray(doc.summary)) {
+        errors.push(`"summary" must be an array of strings.`);
+    }
+    if (!Array.isArray(doc.entities)) {
+        errors.push(`"entities" must be an array (use [] when there is nothing new).`);
+        return errors;
+    }
+    doc.entities.forEach((e, i) => {
+        if (!e || typeof e !== "object") return errors.push(`entities[${i}] must be an object.`);
+        if (typeof e.name !== "string" || !e.name.trim()) errors.push(`entities[${i}].name must be a non-empty string.`);
+        if (e.aliases !== undefined && !isStringArray(e.aliases)) errors.push(`entities[${i}].aliases must be an array of strings.`);
+        if (e.type !== undefined && typeof e.type !== "string") errors.push(`entities[${i}].type must be one of: ${ENTITY_TYPES.join(", ")}.`);
+        if (e.relations !== undefined && (!Array.isArray(e.relations) || !e.relations.every(r => r && typeof r.relation === "string" && typeof r.target === "string"))) {
+            errors.push(`entities[${i}].relations must be an array of { "relation", "target" } objects.`);
+        }
+        if (!isStringArray(e.keywords)) errors.push(`entities[${i}].keywords must be an array of strings.`);
+        const isFact = (f) => typeof f === "string" || (f && typeof f === "object" && typeof f.text === "string");
+        if (!Array.isArray(e.facts) || e.facts.length === 0 || !e.facts.every(isFact)) {
+            errors.push(`entities[${i}].facts must be a non-empty array of facts.`);
+            return;
+        }
+        e.facts.forEach((f, j) => {
+            if (typeof f !== "object") return;
+            if (f.replaces != null && typeof f.replaces !== "string") errors.push(`entities[${i}].facts[${j}].replaces must be a string (the old fact) or left out.`);
+            if (f.uncertain != null && typeof f.uncertain !== "boolean") errors.push(`entities[${i}].facts[${j}].uncertain must be true or false.`);
+        });
+    });
+    return errors;
+}
+
+function checkJsonReply(raw) {
+    const doc = robustJSONParse(raw);
+    return { doc, errors: doc ? validateExtraction(doc) : ["The reply is not valid JSON."] };
+}
+
+async function runJsonExtraction(prompt) {
+    let raw = await callLibrarian(prompt, true);
+    let { doc, errors } = checkJsonReply(raw);
+    logExtraction("json", raw, errors);
+
+    if (errors.length) {
+        // One self-repair round-trip: show the model its own reply and what was wrong with it.
+        const repairPrompt = getSetting("repair_prompt")
+            .replace("{{OUTPUT}}", raw)
+            .replace("{{ERRORS}}", errors.map(e => `- ${e}`).join("\n"));
+        raw = await callLibrarian(repairPrompt, true);
+        ({ doc, errors } = checkJsonReply(raw));
+        logExtraction("json-repair", raw, errors);
+        if (errors.length) return { summaryText: "", batch: [], noData: false };
+    }
+
+    const summary = Array.isArray(doc.summary) ? doc.summary.map((s, i) => `${i + 1}. ${s}`).join("\n") : doc.summary;
+    const batch = doc.entities.map(e => {
+        const facts = e.facts.map(f => typeof f === "string" ? { text: f } : f)
+            .map(f => ({ text: f.text.replace(/\s*\n\s*/g, " ").trim(), replaces: f.replaces?.trim() || null, uncertain: !!f.uncertain }))
+            .filter(f => f.text);
+        return {
+            title: e.name,
+            aliases: e.aliases || [],
+            keywords: e.keywords.join(', '),
+            content: facts.map(f => f.text).join("\n"),
+            facts: facts,
+            type: e.type || null,
+            relations: (e.relations || []).map(r => ({ subject: null, relation: r.relation.trim(), target: r.target.trim() })).filter(r => r.relation && r.target)
+        };
+    });
+    return { summaryText: summary.trim(), batch, noData: batch.length === 0 };
+}
+
+async function callLibrarian(prompt, jsonMode = false) {
+    return generateForRole("extraction", prompt, { jsonSchema: jsonMode ? EXTRACTION_SCHEMA : null });
+}
+
+// --- CORE: PROMPT CONTEXT & PRESETS ---
+// Fills {{KNOWN_ENTITIES}}, {{RELEVANT_MEMORIES}} and {{STORY_SO_FAR}} so the Librarian reuses names and skips known facts.
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// How many of the entry's names and keywords appear in the text.
+function countMentions(bookName, entry, text) {
+    const terms = new Set([entryTitle(entry), ...(entry.key || []), ...(getAliases(bookName)[entryTitle(entry)] || [])]
+        .map(t => String(t).toLowerCase().trim()).filter(t => t.length > 2));
+    return [...terms].filter(t => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(t)}($|[^\\p{L}\\p{N}])`, "iu").test(text)).length;
+}
+
+async function buildPromptContext(newLines, extraKnown = []) {
+    const scored = [];
+    for (const bookName of getReadBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        for (const entry of Object.values(lorebookData?.entries || {})) {
+            if (entry.stmemorybooks && entry.enabled !== false) scored.push({ entry, score: countMentions(bookName, entry, newLines) });
+        }
+    }
+    scored.sort((a, b) => b.score - a.score || getEntryUpdated(b.entry) - getEntryUpdated(a.entry));
+
+    const names = [...new Set([...extraKnown, ...scored.map(s => entryTitle(s.entry))])]
+        .slice(0, getNumberSetting("known_entities_limit"));
+
+    // Most mentioned first; entries that don't fit are skipped so smaller ones still get in.
+    let budget = getNumberSetting("relevant_memories_tokens");
+    const relevant = [];
+    for (const { entry, score } of scored) {
+        if (!score) break;
+        const block = `[${entryTitle(entry)}]\n${entry.content}`;
+        const cost = countTokens(block);
+        if (cost > budget) continue;
+        relevant.push(block);
+        budget -= cost;
+    }
+
+    const story = getNumberSetting("story_context_tokens") > 0 ? getStoryText() : "";
+    return {
+        known: names.join(", ") || "None",
+        relevant: relevant.join("\n\n") || "None",
+        story: story ? trimToTokens(story, getNumberSetting("story_context_tokens")) : "None"
+    };
+}
+
+// A named preset holds both Librarian templates. Characters can be assigned a preset; everyone else uses the global ones.
+function getAssignedPreset(ctx = getContext()) {
+    const avatar = ctx.characterId ? ctx.characters[ctx.characterId]?.avatar : null;
+    const name = avatar ? (getSetting("character_presets") || {})[avatar] : null;
+    return name && (getSetting("prompt_presets") || {})[name] ? name : null;
+}
+
+function getPromptTemplate(key) {
+    const preset = getAssignedPreset();
+    return (preset && getSetting("prompt_presets")[preset][key]) || getSetting(key);
+}
+
+// --- CORE: CONTENT FILTERS ---
+// One "open...close" pair per line; the "..." marks where the OOC text goes.
+function parseOocDelimiters(text) {
+    return String(text || "").split("\n").map(line => line.trim()).filter(line => line.includes("..."))
+        .map(line => {
+            const [open, close] = [line.slice(0, line.indexOf("...")), line.slice(line.indexOf("...") + 3)];
+            return new RegExp(`${escapeRegex(open)}[\\s\\S]*?${close ? escapeRegex(close) : "$"}`, close ? "gi" : "gim");
+        });
+}
+
+// One rule per line: "pattern => replacement". The pattern may be written as /regex/flags;
+// the replacement defaults to [redacted]. Broken patterns are skipped.
+function parseRedactionRules(text) {
+    const rules = [];
+    for (const line of String(text || "").split("\n")) {
+        if (!line.trim()) continue;
+        const split = line.lastIndexOf("=>");
+        const pattern = (split === -1 ? line : line.slice(0, split)).trim();
+        const replacement = split === -1 ? "[redacted]" : line.slice(split + 2).trim();
+        const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            rules.push({ regex: literal ? new RegExp(literal[1], literal[2].includes("g") ? literal[2] : literal[2] + "g") : new RegExp(pattern, "gi"), replacement });
+        } catch (e) {
+            debug(`Skipping redaction rule "${pattern}": ${e.message}`);
+        }
+    }
+    return rules;
+}
+
+function getContentFilters() {
+    return {
+        ooc: getSetting("filter_strip_ooc") ? parseOocDelimiters(getSetting("filter_ooc_delimiters")) : [],
+        redactions: parseRedactionRules(getSetting("filter_redactions"))
+    };
+}
+
+// HTML, markdown emphasis, code fences and links (kept as their text).
+function stripMarkup(text) {
+    return text
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+        .replace(/<[^>]+>/g, "")
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/^```.*$/gm, "")
+        .replace(/^#{1,6}\s+/gm, "")
+        .replace(/(\*\*|__|~~|\*|`)/g, "");
+}
+
+// Slash-command messages (/sys, /comment) carry a message type; /hide'd messages are system without one.
+// Narration (/sys) is often part of the story, so it has its own switch.
+function isNarratorMessage(message) { return message.extra?.type === "narrator"; }
+function isSystemMessage(message) { return !!message.extra?.type && !isNarratorMessage(message); }
+function isHiddenMessage(message) { return !!message.is_system && !message.extra?.type; }
+
+// The text of one message as the Librarian should see it, or null when the message is skipped.
+function cleanMessageText(message, filters = getContentFilters()) {
+    if (getSetting("filter_skip_system") && isSystemMessage(message)) return null;
+    if (getSetting("filter_skip_narrator") && isNarratorMessage(message)) return null;
+    if (getSetting("filter_skip_hidden") && isHiddenMessage(message)) return null;
+
+    // mes always holds the swipe that is currently chosen.
+    let text = String(message.mes ?? "");
+    for (const regex of filters.ooc) text = text.replace(regex, "");
+    for (const rule of filters.redactions) text = text.replace(rule.regex, rule.replacement);
+    if (getSetting("filter_strip_markup")) text = stripMarkup(text);
+    text = text.replace(/[ \t]{2,}/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+    return text || null;
+}
+
+// "Name: text" lines for the Librarian. `skipped` counts messages that were filtered out entirely.
+function buildTranscript(messages) {
+    const filters = getContentFilters();
+    const lines = [];
+    let skipped = 0;
+    for (const m of messages) {
+        const text = cleanMessageText(m, filters);
+        if (text === null) skipped++;
+        else lines.push(`${m.name}: ${text}`);
+    }
+    return { text: lines.join("\n"), skipped };
+}
+
+// The Smart Filter: automatic runs skip input shorter than min_message_length (measured after cleaning).
+function isBelowMinLength(text) {
+    return text.length < (getSetting("min_message_length") || 50);
+}
+
+// Exactly what the next extraction would send: the unarchived messages, or the last `count` ones.
+// A manual count skips the length check, just like /tm-scene does.
+async function getExtractionPreview(count = null) {
+    const chat = getContext().chat || [];
+    const messages = count ? chat.slice(-count) : chat.slice(getChatMetadata("last_index") || 0);
+    const transcript = buildTranscript(messages);
+    const tooShort = !count && isBelowMinLength(transcript.text);
+    return {
+        messages: messages.length,
+        skipped: transcript.skipped,
+        tooShort,
+        transcript: transcript.text,
+        prompt: transcript.text && !tooShort ? await buildExtractionPrompt(transcript.text) : ""
+    };
+}
+
+// --- CORE: PROCESSING ---
+// The full Librarian prompt for an already cleaned transcript. Also used by /tm-preview.
+async function buildExtractionPrompt(newLines, knownEntities = []) {
+    const ctx = getContext();
+    const chat = ctx.chat;
+    let charName = "Character";
+    let userName = "User";
+    if (ctx.characterId && ctx.characters[ctx.characterId]) charName = ctx.characters[ctx.characterId].name;
+    if (chat.length > 0 && chat[0].is_user) userName = chat[0].name; 
+
+    const members = getGroupMembers(ctx);
+    if (members.length) charName = getOwnerName(ctx);
+    const memberNames = members.length ? members.map(m => `"${m.name}"`).join(", ") : `"${charName}"`;
+
+    const template = getPromptTemplate(getSetting("extraction_mode") === "json" ? "json_prompttemplate" : "prompttemplate");
+    const context = await buildPromptContext(newLines, knownEntities);
+    let prompt = template
+        .replace(/{{KNOWN_ENTITIES}}/g, () => context.known)
+        .replace(/{{RELEVANT_MEMORIES}}/g, () => context.relevant)
+        .replace(/{{STORY_SO_FAR}}/g, () => context.story)
+        .replace("{{NEWLINES}}", () => newLines)
+        .replace(/{{CHAR}}/g, charName)
+        .replace(/{{MEMBERS}}/g, memberNames)
+        .replace(/{{USER}}/g, userName);
+    if (knownEntities.length && !template.includes("{{KNOWN_ENTITIES}}")) {
+        prompt = `[Known entities from earlier in this chat. Reuse these exact names: ${knownEntities.join(", ")}]\n\n${prompt}`;
+    }
+    return prompt;
+}
+
+// `range` ({ start, end }, end exclusive) re-runs a fixed slice of the chat without touching last_index.
+// `knownEntities` (names) are handed to the Librarian so it reuses them. Returns the extracted batch.
+// Runs inside the job queue (see enqueueJob). API errors and unreadable replies throw so the queue can retry.
+async function runSummarization(forcedCount = null, range = null, { knownEntities = [] } = {}) {
+    const $btn = $(".titan-memory-btn");
+    $btn.addClass("fa-spin"); 
+
+    const ctx = getContext();
+    const chat = ctx.chat;
+    
+    let newMessages;
+    let rangeStart;
+    let rangeEnd = chat.length;
+    if (range) {
+        rangeStart = range.start;
+        rangeEnd = Math.min(range.end, chat.length);
+        newMessages = chat.slice(rangeStart, rangeEnd);
+        debug(`Re-extracting messages ${rangeStart}-${rangeEnd - 1}.`);
+    } else if (forcedCount) {
+        rangeStart = Math.max(0, chat.length - forcedCount);
+        newMessages = chat.slice(-forcedCount);
+        debug(`Manual trigger: Processing last ${forcedCount} messages.`);
+    } else {
+        rangeStart = getChatMetadata("last_index") || 0;
+        newMessages = chat.slice(rangeStart);
+    }
+    
+    if (newMessages.length === 0) { 
+        $btn.removeClass("fa-spin");
+        return; 
+    }
+
+    const transcript = buildTranscript(newMessages);
+    const newLines = transcript.text;
+    if (transcript.skipped) debug(`Content filters skipped ${transcript.skipped} message(s).`);
+
+    // Measured on the cleaned text, so OOC chatter and markup don't count.
+    if (!newLines || (!forcedCount && !range && isBelowMinLength(newLines))) {
+        debug("Input too short (Smart Filter). Skipping.");
+        $btn.removeClass("fa-spin");
+        return;
+    }
+
+    const jsonMode = getSetting("extraction_mode") === "json";
+    const prompt = await buildExtractionPrompt(newLines, knownEntities);
+
+    try {
+        const { summaryText, batch, noData } = jsonMode
+            ? await runJsonExtraction(prompt)
+            : parseTextExtraction(await callLibrarian(prompt));
+        throwIfJobCancelled();
+        
+        if (summaryText) {
+            console.log(`%c[TITAN SUMMARY]:\n${summaryText}`, "color: #ffcc00; font-weight: bold;");
+            await addSummary(summaryText, rangeStart, rangeEnd);
+            throwIfJobCancelled();
+        }
+        
+        if (noData) {
+            debug("AI reported no new data.");
+            if (!forcedCount && !range) setChatMetadata("last_index", chat.length);
+            recordProcessedRange(chat, rangeStart, rangeEnd);
+        } else if (batch.length > 0) {
+            const source = makeSource(chat, rangeStart, rangeEnd);
+            batch.forEach(item => { item.source = source; });
+            if (getSetting("review_enabled")) queueForReview(batch);
+            else await batchUpdateLorebook(batch);
+            throwIfJobCancelled();
+            if (!range) setChatMetadata("last_index", chat.length);
+            recordProcessedRange(chat, rangeStart, rangeEnd);
+            $btn.css("color", "#00ff00");
+            setTimeout(() => $btn.css("color", ""), 2000);
+            return batch;
+        } else {
+            // Thrown so the queue retries the same messages instead of moving past them.
+            throw new Error("Couldn't read the Librarian's reply. See the debug log.");
+        }
+
+    } catch (e) {
+        console.error("Analysis Failed", e);
+        $btn.css("color", "#ff0000"); 
+        throw e;
+    } finally {
+        $btn.removeClass("fa-spin");
+        // No pruning call needed here anymore! The interceptor handles it.
+    }
+}
+
+// --- CORE: JOB QUEUE ---
+// Extraction and consolidation run one at a time through a queue stored in chat metadata,
+// so a reload or chat switch can't lose them. Job: { id, type, params, status, attempts, error, notBefore }.
+const JOB_HANDLERS = {
+    extract: (params) => runSummarization(params.forcedCount || null, params.range || null),
+    consolidate: (params) => params.uid !== undefined ? consolidateEntry(params.bookName, params.uid) : runJanitorJob(params.bookName, params.force),
+    backfill: () => runBackfillWindow()
+};
+const JOB_LABELS = { extract: "Extraction", consolidate: "Consolidation", backfill: "Backfill" };
+let jobQueueTimer = null;
+
+function getJobs() { return getChatMetadata("jobs") || []; }
+function saveJobs(jobs) {
+    setChatMetadata("jobs", jobs);
+    refreshJobStatus();
+}
+function updateJob(id, changes) { saveJobs(getJobs().map(j => j.id === id ? { ...j, ...changes } : j)); }
+function removeJob(id) { saveJobs(getJobs().filter(j => j.id !== id)); }
+
+function isSameJob(a, type, params) {
+    return a.type === type && a.status === "queued" && JSON.stringify(a.params) === JSON.stringify(params);
+}
+
+function enqueueJob(type, params = {}) {
+    const jobs = getJobs();
+    // An identical queued job will do the same work (auto extraction reads last_index when it starts).
+    if (!jobs.some(j => isSameJob(j, type, params))) {
+        jobs.push({ id: makeId(), type, params, status: "queued", attempts: 0, error: null, created: Date.now(), notBefore: 0 });
+        saveJobs(jobs);
+    }
+    processJobQueue();
+}
+
+class JobCancelledError extends Error {}
+
+function throwIfJobCancelled() {
+    if (currentJob?.cancelled) throw new JobCancelledError("Cancelled");
+}
+
+function cancelCurrentJob() {
+    if (!currentJob) return false;
+    currentJob.cancelled = true;
+    currentJob.controller.abort();
+    return true;
+}
+
+async function processJobQueue() {
+    if (isProcessing) return;
+    isProcessing = true;
+    clearTimeout(jobQueueTimer);
+    let chatSwitched = false;
+
+    try {
+        while (true) {
+            const job = getJobs().find(j => j.status === "queued");
+            if (!job) break;
+            const wait = (job.notBefore || 0) - Date.now();
+            if (wait > 0) {
+                jobQueueTimer = setTimeout(processJobQueue, wait);
+                break;
+            }
+
+            const chatId = getCurrentChatId();
+            currentJob = { id: job.id, chatId, cancelled: false, controller: new AbortController() };
+            updateJob(job.id, { status: "running", attempts: job.attempts + 1 });
+
+            try {
+                await JOB_HANDLERS[job.type](job.params);
+                if (getCurrentChatId() !== chatId) {
+                    chatSwitched = true;
+                    break;
+                }
+                removeJob(job.id);
+            } catch (e) {
+                // After a chat switch the job belongs to the other chat's metadata; it resumes there.
+                if (getCurrentChatId() !== chatId) {
+                    chatSwitched = true;
+                    break;
+                }
+                if (e instanceof JobCancelledError || currentJob.cancelled) {
+                    removeJob(job.id);
+                    toast(`${JOB_LABELS[job.type]} cancelled`, "info");
+                    continue;
+                }
+
+                const attempts = job.attempts + 1;
+                const error = String(e?.message || e);
+                if (attempts <= (Number(getSetting("job_max_retries")) || 0)) {
+                    const delay = (Number(getSetting("job_retry_delay")) || 5) * 1000 * 2 ** (attempts - 1);
+                    debug(`${JOB_LABELS[job.type]} failed (${error}). Retrying in ${delay / 1000}s.`);
+                    updateJob(job.id, { status: "queued", error, notBefore: Date.now() + delay });
+                } else {
+                    updateJob(job.id, { status: "failed", error });
+                    toast(`Titan Memory: ${JOB_LABELS[job.type]} failed: ${error}`, "error");
+                }
+            } finally {
+                currentJob = null;
+            }
+        }
+    } finally {
+        isProcessing = false;
+        refreshJobStatus();
+        // Pick up the queue of the chat we switched to.
+        if (chatSwitched) setTimeout(processJobQueue, 0);
+    }
+}
+
+// Jobs still marked "running" when a chat is opened were cut off by a reload or chat switch.
+function resumeInterruptedJobs() {
+    const maxRetries = Number(getSetting("job_max_retries")) || 0;
+    const jobs = getJobs();
+    if (jobs.some(j => j.status === "running" && j.id !== currentJob?.id)) {
+        saveJobs(jobs.map(j => j.status !== "running" || j.id === currentJob?.id ? j
+            : j.attempts <= maxRetries
+                ? { ...j, status: "queued", error: "Interrupted by a reload or chat switch", notBefore: 0 }
+                : { ...j, status: "failed", error: "Interrupted by a reload or chat switch" }));
+    }
+    refreshJobStatus();
+    processJobQueue();
+}
+
+function retryFailedJobs() {
+    saveJobs(getJobs().map(j => j.status === "failed" ? { ...j, status: "queued", attempts: 0, notBefore: 0 } : j));
+    processJobQueue();
+}
+
+function clearFailedJobs() { saveJobs(getJobs().filter(j => j.status !== "failed")); }
+
+// --- CORE: TRIGGER POLICIES ---
+const TRIGGER_KEYS = ["trigger_messages", "threshold", "trigger_tokens", "trigger_token_threshold", "trigger_idle",
+    "trigger_idle_seconds", "trigger_before_prune", "trigger_on_character"];
+
+function getTriggerAvatar(ctx = getContext()) {
+    return ctx.characterId ? ctx.characters[ctx.characterId]?.avatar : null;
+}
+
+// The current character's own trigger settings, or null when it follows the global ones.
+function getCharacterTriggers() {
+    const avatar = getTriggerAvatar();
+    return avatar ? (getSetting("character_triggers") || {})[avatar] || null : null;
+}
+
+function getTriggerSetting(key) {
+    const own = getCharacterTriggers();
+    return own && own[key] !== undefined ? own[key] : getSetting(key);
+}
+
+function setTriggerSetting(key, value) {
+    const own = getCharacterTriggers();
+    if (!own) return setSetting(key, value);
+    setSetting("character_triggers", { ...getSetting("character_triggers"), [getTriggerAvatar()]: { ...own, [key]: value } });
+}
+
+function setCharacterTriggersEnabled(enabled) {
+    const avatar = getTriggerAvatar();
+    if (!avatar) return;
+    const all = { ...(getSetting("character_triggers") || {}) };
+    if (enabled) all[avatar] = Object.fromEntries(TRIGGER_KEYS.map(key => [key, getSetting(key)]));
+    else delete all[avatar];
+    setSetting("character_triggers", all);
+}
+
+// Which policy (if any) says the unarchived part of the chat is due for extraction.
+// `event` is "user", "character", "idle" or "prune"; each policy only answers to its own events.
+function getDueTrigger(event) {
+    const chat = getContext().chat || [];
+    const unarchived = chat.slice(getChatMetadata("last_index") || 0);
+    if (unarchived.length === 0) return null;
+    const onMessage = event === "user" || (event === "character" && getTriggerSetting("trigger_on_character"));
+
+    if (onMessage && getTriggerSetting("trigger_messages") && unarchived.length >= (Number(getTriggerSetting("threshold")) || 20)) return "messages";
+    if (onMessage && getTriggerSetting("trigger_tokens")
+        && countTokens(buildTranscript(unarchived).text) >= (Number(getTriggerSetting("trigger_token_threshold")) || 1500)) return "tokens";
+    if (event === "idle" && getTriggerSetting("trigger_idle")) return "idle";
+    // Pruning never hides unarchived messages, so archive them before they alone fill the budget.
+    if (event === "prune" && getTriggerSetting("trigger_before_prune") && lastPruneReport
+        && lastPruneReport.unarchivedTokens >= lastPruneReport.budget * 0.8) return "prune";
+    return null;
+}
+
+function checkTriggers(event) {
+    if (!getSetting("enabled") || !getSetting("autosummarize")) return;
+    // last_index only moves when a backfill finishes; until then an extraction would send the whole chat at once.
+    if (["running", "paused"].includes(getBackfill()?.status)) return;
+    const due = getDueTrigger(event);
+    if (!due) return;
+    debug(`Trigger "${due}" fired on ${event}.`);
+    enqueueJob("extract");
+}
+
+function restartIdleTrigger() {
+    clearTimeout(idleTriggerTimer);
+    if (!getTriggerSetting("trigger_idle")) return;
+    idleTriggerTimer = setTimeout(() => checkTriggers("idle"), (Number(getTriggerSetting("trigger_idle_seconds")) || 120) * 1000);
+}
+
+// --- CORE: BACKFILL (Whole Chat History) ---
+// Walks the chat in token-sized windows, one queue job per window. Progress lives in chat metadata
+// as { next, end, status, known, windows } so it survives reloads and can be paused.
+function getBackfill() { return getChatMetadata("backfill") || null; }
+function setBackfill(state) {
+    setChatMetadata("backfill", state);
+    refreshBackfillUI();
+}
+
+// Messages [start, end) that fit the window budget. Always at least one message.
+function nextBackfillWindow(chat, start, limit) {
+    const budget = Number(getSetting("backfill_window_tokens")) || 2000;
+    let tokens = 0;
+    let end = start;
+    while (end < limit) {
+        const cost = countTokens(`${chat[end].name}: ${chat[end].mes}`);
+        if (end > start && tokens + cost > budget) break;
+        tokens += cost;
+        end++;
+    }
+    return { start, end };
+}
+
+async function startBackfill() {
+    const chat = getContext().chat;
+    const state = getBackfill();
+    if (state && state.status !== "done" && state.next < state.end) return resumeBackfill();
+
+    // Seed the known entities with what the book already holds.
+    const bookName = getBookName();
+    const lorebookData = world_names.includes(bookName) ? await loadWorldInfo(bookName) : null;
+    const known = lorebookData ? Object.values(lorebookData.entries || {}).filter(e => e.stmemorybooks).map(entryTitle) : [];
+
+    setBackfill({ next: 0, end: chat.length, status: "running", known: known.slice(0, 50), windows: 0 });
+    enqueueJob("backfill");
+}
+
+function pauseBackfill() {
+    const state = getBackfill();
+    if (!state || state.status !== "running") return false;
+    setBackfill({ ...state, status: "paused" });
+    saveJobs(getJobs().filter(j => !(j.type === "backfill" && j.status === "queued")));
+    return true;
+}
+
+function resumeBackfill() {
+    const state = getBackfill();
+    if (!state || state.next >= state.end) return false;
+    setBackfill({ ...state, status: "running" });
+    enqueueJob("backfill");
+    return true;
+}
+
+async function runBackfillWindow() {
+    const state = getBackfill();
+    if (!state || state.status !== "running") return;
+
+    const chat = getContext().chat;
+    const end = Math.min(state.end, chat.length);
+    const range = nextBackfillWindow(chat, state.next, end);
+    // Throws when the reply can't be read, so the window is retried rather than skipped.
+    // Nothing back means NO DATA (or nothing left after the filters), which counts as done.
+    const batch = await runSummarization(null, range, { knownEntities: state.known }) || [];
+    throwIfJobCancelled();
+
+    const overlap = Number(getSetting("backfill_overlap")) || 0;
+    // Step back by the overlap, but always move forward.
+    const next = range.end >= end ? end : Math.max(range.start + 1, range.end - overlap);
+    const known = [...new Set([...state.known, ...batch.map(item => item.title.trim())])].slice(-50);
+    const done = next >= end;
+
+    setBackfill({ ...state, next, known, windows: state.windows + 1, status: done ? "done" : getBackfill()?.status || "running" });
+    if (done) {
+        if ((getChatMetadata("last_index") || 0) < end) setChatMetadata("last_index", end);
+        toast(`Backfill finished: ${state.windows + 1} windows.`, "success");
+    } else if (getBackfill().status === "running") {
+        enqueueJob("backfill");
+    }
+}
+
+// --- CORE: MANUAL MEMORY (Slash Commands) ---
+// Autocomplete providers must answer synchronously, so entity names are cached and refreshed on every book change.
+async function refreshEntityNames() {
+    const names = [];
+    for (const bookName of getReadBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        Object.values(lorebookData?.entries || {}).filter(e => e.stmemorybooks).forEach(e => names.push(entryTitle(e)));
+    }
+    entityNames = [...new Set(names)].sort((a, b) => a.localeCompare(b));
+}
+
+function entityEnumProvider() {
+    return entityNames.map(name => new SlashCommandEnumValue(name));
+}
+
+// Loads every Titan entry the chat can see, with its book.
+async function loadChatEntries() {
+    const all = [];
+    for (const bookName of getReadBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        Object.values(lorebookData?.entries || {}).filter(e => e.stmemorybooks).forEach(entry => all.push({ bookName, lorebookData, entry }));
+    }
+    return all;
+}
+
+// Entries matching the query, best first: names and keywords count double, shared words once.
+async function recallMemories(query, limit = 5) {
+    const words = new Set(normalizeFact(query).split(" ").filter(w => w.length > 2));
+    const scored = (await loadChatEntries()).map(({ bookName, entry }) => {
+        const text = new Set(normalizeFact(`${entryTitle(entry)} ${entry.content}`).split(" "));
+        const shared = [...words].filter(w => text.has(w)).length;
+        return { entry, score: countMentions(bookName, entry, query) * 2 + shared };
+    }).filter(s => s.score > 0 && s.entry.enabled !== false);
+    scored.sort((a, b) => b.score - a.score || getEntryUpdated(b.entry) - getEntryUpdated(a.entry));
+    return scored.slice(0, limit).map(s => s.entry);
+}
+
+// Returns the title of the entry the fact was filed under, or null when nothing was written.
+async function rememberFact(entity, fact, { keywords = "", type = null } = {}) {
+    const ctx = getContext();
+    if (!ctx.characterId && !ctx.groupId) throw new Error("Open a character or group chat first.");
+    const written = await batchUpdateLorebook([{ title: entity, content: fact, keywords, aliases: "", type, source: null }], "manual");
+    if (!written) return null;
+    // Aliases and fuzzy matching may have filed it under another entry; report where it went.
+    const { bookName, charName } = routeItem(ctx, entity);
+    const lorebookData = await loadWorldInfo(bookName);
+    const title = normalizeTitle(entity, charName);
+    const entry = lorebookData && title ? resolveEntry(bookName, lorebookData, title).entry : null;
+    return entry ? entryTitle(entry) : null;
+}
+
+// Deletes the entry, or with `fact` only moves that fact to history. Being destructive, it never goes by a
+// guess: the entity must match by name or alias and the fact word for word (ignoring case and punctuation).
+// Returns { title }, { title, candidates } with the entry's closest facts when the fact didn't match, or null.
+async function forgetMemory(entity, fact = null) {
+    for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        const resolved = lorebookData ? resolveEntry(bookName, lorebookData, entity) : null;
+        const entry = resolved?.via === "fuzzy" ? null : resolved?.entry;
+        if (!entry) continue;
+
+        const before = snapshotEntries(lorebookData);
+        if (fact) {
+            migrateFacts(entry);
+            const current = getCurrentFacts(entry);
+            const match = current.find(f => normalizeFact(f.text) === normalizeFact(fact));
+            if (!match) {
+                const candidates = current.map(f => ({ text: f.text, score: factSimilarity(f.text, fact) }))
+                    .filter(c => c.score > 0).sort((a, b) => b.score - a.score).slice(0, 3).map(c => c.text);
+                return { title: entryTitle(entry), candidates };
+            }
+            supersedeFact(match, "forgotten");
+            renderFacts(entry);
+            if (!entry.content) delete lorebookData.entries[entry.uid];
+        } else {
+            delete lorebookData.entries[entry.uid];
+        }
+        await commitBookChanges(bookName, lorebookData, before, "manual");
+        return { title: entryTitle(entry) };
+    }
+    return null;
+}
+
+async function getMemoryStatus() {
+    const chat = getContext().chat || [];
+    const jobs = getJobs();
+    const countJobs = (status) => jobs.filter(j => j.status === status).length;
+    return {
+        processed: getChatMetadata("last_index") || 0,
+        messages: chat.length,
+        entries: (await loadChatEntries()).length,
+        jobs: { queued: countJobs("queued"), running: countJobs("running"), failed: countJobs("failed") },
+        pending_review: getPendingReview().length,
+        stale_ranges: (getChatMetadata("stale_ranges") || []).length,
+        backfill: getBackfill()?.status || "none"
+    };
+}
+
+function formatMemoryStatus(s) {
+    return [
+        `Processed ${s.processed} of ${s.messages} messages.`,
+        `${s.entries} memory entries.`,
+        `Jobs: ${s.jobs.running} running, ${s.jobs.queued} queued, ${s.jobs.failed} failed.`,
+        `${s.pending_review} waiting for review, ${s.stale_ranges} stale ranges.`,
+        `Backfill: ${s.backfill}.`
+    ].join("\n");
+}
+
+// --- CORE: RETRIEVAL (Offline BM25) ---
+// Scores the chat's Titan entries against the last few messages and injects the best ones,
+// so memories surface even when none of their World Info keywords matched.
+const RETRIEVAL_KEY = `${MODULENAME}-retrieval`;
+
+const RETRIEVAL_STOPWORDS = new Set([...TITLE_STOPWORDS, "is", "are", "was", "were", "be", "been", "to", "in", "on", "at", "for", "with",
+    "it", "its", "he", "she", "they", "we", "you", "me", "my", "your", "his", "her", "their", "this", "that", "has", "have", "had",
+    "do", "does", "did", "not", "but", "or", "as", "by", "from", "what", "where", "who", "how", "when", "why", "so", "if", "then"]);
+
+function retrievalTokens(text) {
+    return normalizeFact(text).split(" ").filter(t => t.length > 1 && !RETRIEVAL_STOPWORDS.has(t));
+}
+
+// docs: [{ entry, tokens }]. Keeps term frequencies per doc and document frequencies per term.
+function buildBm25Index(docs) {
+    const df = new Map();
+    const indexed = docs.map(({ entry, tokens }) => {
+        const tf = new Map();
+        tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+        return { entry, tf, length: tokens.length };
+    });
+    const avgLength = indexed.reduce((sum, d) => sum + d.length, 0) / (indexed.length || 1);
+    return { docs: indexed, df, avgLength };
+}
+
+function scoreBm25(index, queryTokens, k1 = 1.2, b = 0.75) {
+    const terms = [...new Set(queryTokens)];
+    const n = index.docs.length;
+    return index.docs.map(doc => {
+        let score = 0;
+        for (const term of terms) {
+            const f = doc.tf.get(term);
+            if (!f) continue;
+            const df = index.df.get(term);
+            const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+            score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * doc.length / (index.avgLength || 1)));
+        }
+        return { entry: doc.entry, score };
+    });
+}
+
+// Titles count twice. Always-on and disabled entries are left to World Info.
+async function getRetrievalIndex(bookName) {
+    const lorebookData = await loadWorldInfo(bookName);
+    const entries = Object.values(lorebookData?.entries || {}).filter(e => e.stmemorybooks && e.enabled !== false && !e.constant);
+    const signature = entries.map(e => `${e.uid}:${e.titan_updated || 0}:${e.content.length}`).join("|");
+    const cached = retrievalIndexCache.get(bookName);
+    if (cached && cached.signature === signature) return cached.index;
+
+    const index = buildBm25Index(entries.map(entry => ({
+        entry,
+        tokens: retrievalTokens(`${entryTitle(entry)} ${entryTitle(entry)} ${(entry.key || []).join(" ")} ${entry.content}`)
+    })));
+    retrievalIndexCache.set(bookName, { signature, index });
+    return index;
+}
+
+// Generations that continue the story. Quiet and impersonation prompts don't get retrieved memories.
+const RETRIEVAL_GENERATION_TYPES = ["normal", "continue", "swipe", "regenerate"];
+
+// Roughly what World Info activates on its own: a key found (as a whole word) in the entry's scan window.
+function isKeywordActivated(entry, chat) {
+    const depth = Number.isFinite(entry.scanDepth) ? entry.scanDepth : world_info_depth;
+    const text = chat.slice(-Math.max(1, depth || 1)).map(m => m.mes).join("\n");
+    return (entry.key || []).map(k => String(k).trim()).filter(Boolean)
+        .some(k => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(k)}($|[^\\p{L}\\p{N}])`, entry.caseSensitive ? "u" : "iu").test(text));
+}
+
+// Returns the tokens injected, so pruning can leave room for them.
+async function updateRetrievalInjection(chat, type = "normal") {
+    if (!getSetting("enabled") || !getSetting("retrieval_enabled") || !RETRIEVAL_GENERATION_TYPES.includes(type || "normal")) {
+        setExtensionPrompt(RETRIEVAL_KEY, "", extension_prompt_types.NONE, 0);
+        return 0;
+    }
+
+    const queryText = chat.slice(-(Number(getSetting("retrieval_query_messages")) || 4)).map(m => m.mes).join("\n");
+    const query = retrievalTokens(queryText);
+    // Entries World Info already inserts by keyword would only be repeated, so they are left out.
+    const scored = [];
+    const seen = new Set();
+    for (const bookName of getReadBooks().filter(b => world_names.includes(b))) {
+        for (const result of scoreBm25(await getRetrievalIndex(bookName), query)) {
+            const id = `${bookName}:${result.entry.uid}`;
+            if (seen.has(id) || isKeywordActivated(result.entry, chat)) continue;
+            seen.add(id);
+            scored.push(result);
+        }
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    const minScore = Number(getSetting("retrieval_min_score")) || 0;
+    const topK = Number(getSetting("retrieval_top_k")) || 5;
+    let budget = Number(getSetting("retrieval_token_budget")) || 800;
+    const results = [];
+    for (const { entry, score } of scored) {
+        if (results.length >= topK || score < minScore) break;
+        const block = `${entryTitle(entry)}: ${entry.content}`;
+        const tokens = countTokens(block);
+        if (tokens > budget) continue;
+        budget -= tokens;
+        results.push({ title: entryTitle(entry), score: Math.round(score * 100) / 100, tokens: Math.round(tokens), block });
+    }
+
+    lastRetrieval = { date: Date.now(), query: queryText.slice(0, 200), results };
+    refreshRetrievalUI();
+    if (getSetting("debug")) {
+        console.log(`[Titan Retrieval] Injected ${results.length} memories:`, results.map(r => `${r.title} (${r.score})`).join(", "));
+    }
+
+    if (results.length === 0) {
+        setExtensionPrompt(RETRIEVAL_KEY, "", extension_prompt_types.NONE, 0);
+        return 0;
+    }
+    const text = getSetting("retrieval_template").replace("{{MEMORIES}}", results.map(r => r.block).join("\n"));
+    setExtensionPrompt(RETRIEVAL_KEY, text, extension_prompt_types.IN_CHAT, Number(getSetting("retrieval_depth")) || 0, false, getPromptRole(getSetting("retrieval_role")));
+    return countTokens(text);
+}
+
+// --- CORE: PHANTOM INTERCEPTOR (Replacement for Pruning) ---
+// Only messages the Librarian has already archived may be hidden. Pinned messages
+// (extra.titan_pinned) and anchors (the greeting plus configured indexes) always stay.
+// Messages whose memories wait for review were not written anywhere yet, so they count as unarchived.
+let lastPruneReport = null; // { date, budget, used, hidden: [{ index, name, tokens }], kept: { unarchived, pinned, anchor }, unarchivedTokens }
+
+function isArchived(index) {
+    if (index < 0) return false;
+    const stale = getChatMetadata("stale_ranges") || [];
+    if (stale.some(r => index >= r.start && index < r.end)) return false;
+    // Held only while their items wait for review. Source ranges include their end message.
+    const held = getPendingReview().map(p => p.source).filter(Boolean);
+    if (held.some(r => index >= r.start && index <= r.end)) return false;
+    if (index < (getChatMetadata("last_index") || 0)) return true;
+    return (getChatMetadata("processed_ranges") || []).some(r => index >= r.start && index < r.end);
+}
+
+function getAnchorIndexes() {
+    const anchors = new Set(splitList(getSetting("anchor_messages")).map(Number).filter(n => Number.isInteger(n) && n >= 0));
+    if (getSetting("anchor_greeting")) anchors.add(0);
+    return anchors;
+}
+
+// Why a message must never be hidden, or null if it may be.
+function getKeepReason(message, index, anchors) {
+    if (message.extra?.titan_pinned) return "pinned";
+    if (anchors.has(index)) return "anchor";
+    if (!isArchived(index)) return "unarchived";
+    return null;
+}
+
+function getPruneBudget(contextSize) {
+    if (getSetting("budget_mode") === "percent" && contextSize > 0) {
+        return Math.floor(contextSize * (Number(getSetting("budget_percent")) || 50) / 100);
+    }
+    return Number(getSetting("tokenbudget")) || 1000;
+}
+
+// This function runs automatically by SillyTavern BEFORE sending context to AI.
+globalThis.titan_memory_interceptor = async function (chat, contextSize, _abort, type) {
+    // Safety check: Don't mess with group chats dry-runs sometimes having odd types
+    if (type === 'dry') return; 
+
+    const retrievalReserve = await updateRetrievalInjection(chat, type);
+    if (!getSetting("enabled") || !getSetting("pruningenabled")) return;
+    pruneChat(chat, contextSize, retrievalReserve);
+    checkTriggers("prune");
+};
+
+// Hides archived messages that don't fit the budget, for this generation only.
+function pruneChat(chat, contextSize, retrievalReserve) {
+    const ctx = getContext();
+    const IGNORE_SYMBOL = ctx.symbols ? ctx.symbols.ignore : Symbol("ignore");
+
+    // Room for the "story so far" block injected by updateSummaryInjection() and the retrieved memories
+    const summaryReserve = getSetting("summary_enabled")
+        ? Math.min(Number(getSetting("summary_token_cap")) || 500, countTokens(getStoryText()))
+        : 0;
+    const availableChatBudget = Math.max(200, getPruneBudget(contextSize) - summaryReserve - retrievalReserve);
+
+    // The array we get usually holds the real chat messages. Another interceptor may have copied them,
+    // so fall back to matching by send date and name before treating a message as unknown (and unarchived).
+    const anchors = getAnchorIndexes();
+    const indexes = new Map(ctx.chat.map((message, i) => [message, i]));
+    const byDate = new Map(ctx.chat.map((message, i) => [`${message.send_date}|${message.name}`, i]));
+    const messages = chat.map(message => {
+        const index = indexes.get(message) ?? byDate.get(`${message.send_date}|${message.name}`) ?? -1;
+        return { index, tokens: countTokens(message.mes), keep: getKeepReason(message, index, anchors) };
+    });
+
+    const report = { date: Date.now(), budget: availableChatBudget, used: 0, hidden: [], kept: { unarchived: 0, pinned: 0, anchor: 0 } };
+
+    // Protected messages always go in, so count them first.
+    for (let i = 0; i < chat.length; i++) {
+        if (!messages[i].keep || chat[i].extra?.[IGNORE_SYMBOL]) continue;
+        report.used += messages[i].tokens;
+        report.kept[messages[i].keep]++;
+    }
+
+    // Iterate BACKWARDS (Newest -> Oldest) through the archived ones
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (messages[i].keep) continue;
+
+        // Crucial: Create a shallow copy of the message so we don't modify the real chat history on disk
+        // We only modify the "extra" flags for this specific generation request.
+        chat[i] = { ...chat[i], extra: { ...chat[i].extra } };
+
+        // If the message is already ignored manually, skip it
+        if (chat[i].extra[IGNORE_SYMBOL]) continue;
+
+        if (report.used + messages[i].tokens > availableChatBudget) {
+            // Budget exceeded and already archived: hide it from this generation
+            chat[i].extra[IGNORE_SYMBOL] = true;
+            report.hidden.push({ index: messages[i].index, name: chat[i].name, tokens: Math.round(messages[i].tokens) });
+        } else {
+            report.used += messages[i].tokens;
+        }
+    }
+
+    report.used = Math.round(report.used);
+    report.unarchivedTokens = Math.round(messages.filter(m => m.keep === "unarchived").reduce((sum, m) => sum + m.tokens, 0));
+    lastPruneReport = report;
+    refreshPruneReportUI();
+    
+    if (report.hidden.length > 0 && getSetting("debug")) {
+        console.log(`[Titan Interceptor] Hid ${report.hidden.length} archived messages from AI context. (Used ${report.used}/${availableChatBudget} tokens)`);
+    }
+}
+
+async function togglePin(index) {
+    const ctx = getContext();
+    const message = ctx.chat[index];
+    if (!message) return;
+    message.extra = { ...message.extra, titan_pinned: !message.extra?.titan_pinned };
+    if (!message.extra.titan_pinned) delete message.extra.titan_pinned;
+    await ctx.saveChat();
+    refreshPinMarks();
+}
 
 // --- UI: BRAIN BUTTON INJECTION ---
 function injectBrainButton() {
@@ -466,22 +3183,888 @@ function injectBrainButton() {
             "opacity": "0.5",
             "transition": "opacity 0.2s"
         });
-        
-        $btn.hover(
-            function() { $(this).css("opacity", "1"); },
-            function() { $(this).css("opacity", "0.5"); }
-        );
+        
+        $btn.hover(
+            function() { $(this).css("opacity", "1"); },
+            function() { $(this).css("opacity", "0.5"); }
+        );
+
+        $btn.click((e) => {
+            e.stopPropagation();
+            toast("Analyzing Last 50 Messages...", "info");
+            enqueueJob("extract", { forcedCount: 50 });
+        });
+
+        const $status = $(`<div id="titan-job-status" class="titan-job-status"></div>`);
+        $status.click((e) => {
+            e.stopPropagation();
+            openJobsPopup();
+        });
+
+        $target.prepend($status);
+        $target.prepend($btn);
+        refreshJobStatus();
+    }
+}
+
+// --- UI: JOB STATUS ---
+function refreshJobStatus() {
+    const jobs = getJobs();
+    const failed = jobs.filter(j => j.status === "failed");
+    const running = jobs.find(j => j.status === "running");
+    const queued = jobs.filter(j => j.status === "queued");
+
+    const $status = $("#titan-job-status");
+    $status.removeClass("fa-solid fa-triangle-exclamation fa-gear fa-spin fa-hourglass-half titan-job-failed").text("");
+    if (failed.length) {
+        $status.addClass("fa-solid fa-triangle-exclamation titan-job-failed")
+            .attr("title", failed.map(j => `${JOB_LABELS[j.type]} failed: ${j.error}`).join("\n"));
+    } else if (running) {
+        $status.addClass("fa-solid fa-gear fa-spin")
+            .attr("title", `Running: ${JOB_LABELS[running.type]} (attempt ${running.attempts})${queued.length ? `, ${queued.length} queued` : ""}`);
+    } else if (queued.length) {
+        $status.addClass("fa-solid fa-hourglass-half").text(queued.length)
+            .attr("title", queued.map(j => `${JOB_LABELS[j.type]} queued${j.error ? ` (retrying after: ${j.error})` : ""}`).join("\n"));
+    }
+
+    $(".titan-jobs-panel").each((_, el) => renderJobsPanel($(el)));
+}
+
+function renderJobsPanel($panel) {
+    $panel.empty();
+    const jobs = getJobs();
+    if (jobs.length === 0) {
+        $panel.append(`<div class="text_msg_hint">No memory jobs queued.</div>`);
+        return;
+    }
+    for (const job of jobs) {
+        const $job = $(`<div class="titan-history-change"></div>`);
+        $job.append($(`<span></span>`).text(`${JOB_LABELS[job.type]}: ${job.status}${job.attempts ? ` (attempt ${job.attempts})` : ""}${job.error ? ` — ${job.error}` : ""}`));
+        $panel.append($job);
+    }
+    $panel.append(`
+        <div class="titan-review-toolbar">
+            <button class="menu_button titan-job-cancel"><i class="fa-solid fa-stop"></i> Cancel Current</button>
+            <button class="menu_button titan-job-retry"><i class="fa-solid fa-rotate-right"></i> Retry Failed</button>
+            <button class="menu_button red_button titan-job-clear"><i class="fa-solid fa-trash"></i> Clear Failed</button>
+        </div>`);
+}
+
+// --- UI: CONTENT FILTER PREVIEW ---
+async function openPreviewPopup(count = null) {
+    const preview = await getExtractionPreview(count);
+    const $panel = $(`<div class="titan-preview-panel"></div>`);
+    $panel.append($(`<div class="text_msg_hint"></div>`).text(
+        `${preview.messages} message(s), ${preview.skipped} skipped by the filters.`));
+    if (preview.prompt) $panel.append($(`<pre class="titan-preview-text"></pre>`).text(preview.prompt));
+    else $panel.append($(`<div class="text_msg_hint"></div>`).text(preview.tooShort
+        ? `Nothing would be sent: the cleaned text is shorter than the minimum length (${getSetting("min_message_length") || 50} characters).`
+        : "Nothing would be sent."));
+    callGenericPopup($panel, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true, okButton: "Close" });
+    return preview;
+}
+
+function openJobsPopup() {
+    const $panel = $(`<div class="titan-jobs-panel"></div>`);
+    renderJobsPanel($panel);
+    callGenericPopup($panel, POPUP_TYPE.TEXT, "", { okButton: "Close" });
+}
+
+function bindJobEvents() {
+    $(document).on("click", ".titan-job-cancel", () => toast(cancelCurrentJob() ? "Cancelling..." : "Nothing is running", "info"));
+    $(document).on("click", ".titan-job-retry", retryFailedJobs);
+    $(document).on("click", ".titan-job-clear", clearFailedJobs);
+}
+
+// --- UI: REVIEW PANEL ---
+async function renderReviewPanel($panel) {
+    const pending = getPendingReview();
+    $panel.empty();
+    if (pending.length === 0) {
+        $panel.append(`<div class="text_msg_hint">No memories waiting for review.</div>`);
+        return;
+    }
+
+    const ctx = getContext();
+
+    $panel.append(`
+        <div class="titan-review-toolbar">
+            <button class="menu_button titan-review-accept-all"><i class="fa-solid fa-check-double"></i> Accept All</button>
+            <button class="menu_button red_button titan-review-reject-all"><i class="fa-solid fa-xmark"></i> Reject All</button>
+        </div>`);
+
+    for (const item of pending) {
+        const { bookName, charName } = routeItem(ctx, item.title);
+        const title = normalizeTitle(item.title, charName);
+        const lorebookData = title && world_names.includes(bookName) ? await loadWorldInfo(bookName) : null;
+        const existing = lorebookData ? resolveEntry(bookName, lorebookData, title).entry : null;
+        const action = !title ? "SKIP (junk title)" : existing ? `APPEND to "${entryTitle(existing)}" in ${bookName}` : `CREATE new entry in ${bookName}`;
+
+        const $item = $(`<div class="titan-review-item"></div>`).attr("data-id", item.id);
+        $item.append($(`<div class="titan-review-action"></div>`).text(action));
+        $item.append($(`<input type="text" class="text_pole titan-review-title" placeholder="Title" />`).val(item.title));
+        $item.append($(`<input type="text" class="text_pole titan-review-aliases" placeholder="Aliases" />`).val(item.aliases || ""));
+        $item.append($(`<input type="text" class="text_pole titan-review-keywords" placeholder="Keywords" />`).val(item.keywords));
+        $item.append($(`<textarea class="text_pole titan-review-content" rows="3"></textarea>`).val(item.content));
+        if (existing) {
+            $item.append(`<div class="text_msg_hint">Current entry text:</div>`);
+            $item.append($(`<div class="titan-review-current"></div>`).text(existing.content));
+        }
+        $item.append(`
+            <div class="titan-review-buttons">
+                <button class="menu_button titan-review-accept"><i class="fa-solid fa-check"></i> Accept</button>
+                <button class="menu_button red_button titan-review-reject"><i class="fa-solid fa-xmark"></i> Reject</button>
+            </div>`);
+        $panel.append($item);
+    }
+}
+
+function refreshReviewPanels() {
+    $("#titan-review-count").text(getPendingReview().length);
+    $(".titan-review-panel").each((_, el) => { renderReviewPanel($(el)); });
+}
+
+function openReviewPopup() {
+    const $panel = $(`<div class="titan-review-panel"></div>`);
+    renderReviewPanel($panel);
+    callGenericPopup($panel, POPUP_TYPE.TEXT, "", { wide: true, large: true, allowVerticalScrolling: true, okButton: "Close" });
+}
+
+function bindReviewPanelEvents() {
+    const idOf = (el) => $(el).closest(".titan-review-item").attr("data-id");
+
+    $(document).on("change", ".titan-review-item input, .titan-review-item textarea", function() {
+        const $item = $(this).closest(".titan-review-item");
+        updateReviewItem(idOf(this), {
+            title: $item.find(".titan-review-title").val(),
+            aliases: $item.find(".titan-review-aliases").val(),
+            keywords: $item.find(".titan-review-keywords").val(),
+            content: $item.find(".titan-review-content").val()
+        });
+    });
+    $(document).on("click", ".titan-review-accept", function() { acceptReviewItems([idOf(this)]); });
+    $(document).on("click", ".titan-review-reject", function() { rejectReviewItems([idOf(this)]); });
+    $(document).on("click", ".titan-review-accept-all", () => acceptReviewItems(getPendingReview().map(p => p.id)));
+    $(document).on("click", ".titan-review-reject-all", () => {
+        if (confirm("Reject every pending memory?")) rejectReviewItems(getPendingReview().map(p => p.id));
+    });
+}
+
+// --- UI: MEMORY INSPECTOR ---
+function getEntryUpdated(entry) {
+    return entry.titan_updated || entry.titan_consolidated_at || 0;
+}
+
+let inspectorRefreshTimer = null;
+let inspectorRequest = 0; // Bumped on every refresh so a slower, older run doesn't render over a newer one
+
+// For typing in the filters: waits for a pause instead of reloading every book on each keystroke.
+function refreshInspectorSoon() {
+    clearTimeout(inspectorRefreshTimer);
+    inspectorRefreshTimer = setTimeout(refreshInspectorUI, 300);
+}
+
+async function refreshInspectorUI() {
+    const $list = $("#titan-inspector-list");
+    if (!$list.length) return;
+    const request = ++inspectorRequest;
+
+    const ctx = getContext();
+    const books = getChatBooks(ctx).filter(b => world_names.includes(b));
+    const $book = $("#titan-inspector-book");
+    const selectedBook = $book.val();
+    $book.empty().append(`<option value="">All books</option>`);
+    books.forEach(b => $book.append($("<option></option>").val(b).text(b)));
+    $book.val(books.includes(selectedBook) ? selectedBook : "");
+
+    const all = [];
+    for (const bookName of books) {
+        const lorebookData = await loadWorldInfo(bookName);
+        if (request !== inspectorRequest) return;
+        for (const entry of Object.values(lorebookData?.entries || {})) {
+            if (entry.stmemorybooks) all.push({ bookName, entry, tokens: Math.round(countTokens(entry.content || "")) });
+        }
+    }
+
+    const totalTokens = all.reduce((sum, e) => sum + e.tokens, 0);
+    $("#titan-inspector-stats").text(`${all.length} entries, ~${totalTokens} tokens of memory. Processed up to message ${getChatMetadata("last_index") || 0} of ${(ctx.chat || []).length}.`);
+
+    const search = String($("#titan-inspector-search").val() || "").toLowerCase().trim();
+    const filter = $("#titan-inspector-filter").val() || "all";
+    const sort = $("#titan-inspector-sort").val() || "updated";
+    const shown = all.filter(({ bookName, entry }) => {
+        if ($book.val() && bookName !== $book.val()) return false;
+        if (filter === "consolidated" && !entry.titan_consolidated) return false;
+        if (filter === "raw" && entry.titan_consolidated) return false;
+        if (filter === "stale" && !entry.titan_stale) return false;
+        if (filter === "disabled" && entry.enabled !== false) return false;
+        if ($("#titan-inspector-type").val() && normalizeType(entry.titan_type) !== $("#titan-inspector-type").val()) return false;
+        return !search || `${entryTitle(entry)}\n${(entry.key || []).join(",")}\n${entry.content}`.toLowerCase().includes(search);
+    }).sort((a, b) => {
+        if (sort === "size") return b.tokens - a.tokens;
+        if (sort === "title") return entryTitle(a.entry).localeCompare(entryTitle(b.entry));
+        return getEntryUpdated(b.entry) - getEntryUpdated(a.entry);
+    });
+
+    $list.empty();
+    if (shown.length === 0) {
+        $list.append(`<div class="text_msg_hint">No matching memories.</div>`);
+        return;
+    }
+    for (const { bookName, entry, tokens } of shown) {
+        const flags = [
+            entry.enabled === false ? "disabled" : null,
+            entry.titan_consolidated ? "consolidated" : null,
+            entry.titan_stale ? "stale" : null,
+            entry.titan_reconsolidate ? "needs re-consolidation" : null,
+            (entry.titan_facts || []).some(f => f.status === "current" && f.flag) ? "flagged" : null
+        ].filter(Boolean);
+        const updated = getEntryUpdated(entry);
+        const $entry = $(`<details class="titan-history-record titan-inspector-entry"></details>`).attr("data-book", bookName).attr("data-uid", entry.uid);
+        $entry.append($(`<summary></summary>`).text(`${entryTitle(entry)} [${normalizeType(entry.titan_type)}] (${tokens} tokens${flags.length ? `, ${flags.join(", ")}` : ""})`));
+        $entry.append($(`<div class="text_msg_hint"></div>`).text(`${bookName}${updated ? `, updated ${new Date(updated).toLocaleString()}` : ""}`));
+        $entry.append($(`<input type="text" class="text_pole titan-inspector-title" placeholder="Title" />`).val(entryTitle(entry)));
+        $entry.append($(`<input type="text" class="text_pole titan-inspector-keys" placeholder="Keywords" />`).val((entry.key || []).join(", ")));
+        const $type = $(`<select class="text_pole titan-inspector-entry-type" title="Entity type"></select>`);
+        ENTITY_TYPES.forEach(t => $type.append($("<option></option>").val(t).text(t)));
+        $entry.append($type.val(normalizeType(entry.titan_type)));
+        $entry.append($(`<textarea class="text_pole titan-inspector-content" rows="4"></textarea>`).val(entry.content));
+        const history = (entry.titan_facts || []).filter(f => f.status !== "current");
+        if (history.length) {
+            const $history = $(`<details class="titan-fact-history"></details>`);
+            $history.append($(`<summary></summary>`).text(`Fact history (${history.length})`));
+            for (const fact of history) {
+                $history.append($(`<div></div>`).text(`${fact.text} (${fact.reason}, ${new Date(fact.replaced_at).toLocaleString()})`));
+            }
+            $entry.append($history);
+        }
+        $entry.append(`
+            <div class="titan-review-buttons">
+                <button class="menu_button titan-inspector-save" title="Save your edits"><i class="fa-solid fa-floppy-disk"></i></button>
+                <button class="menu_button titan-inspector-toggle" title="${entry.enabled === false ? "Enable" : "Disable"} this entry"><i class="fa-solid ${entry.enabled === false ? "fa-toggle-off" : "fa-toggle-on"}"></i></button>
+                <button class="menu_button titan-inspector-consolidate" title="Re-run consolidation for this entry"><i class="fa-solid fa-broom"></i></button>
+                <button class="menu_button red_button titan-inspector-delete" title="Delete this entry"><i class="fa-solid fa-trash"></i></button>
+            </div>`);
+        $list.append($entry);
+    }
+}
+
+// Loads the entry behind an inspector row, lets `change` edit it, then saves it as a manual edit.
+async function editInspectorEntry(el, change) {
+    const $entry = $(el).closest(".titan-inspector-entry");
+    const bookName = $entry.attr("data-book");
+    const lorebookData = await loadWorldInfo(bookName);
+    const entry = lorebookData?.entries?.[$entry.attr("data-uid")];
+    if (!entry) return refreshInspectorUI();
+
+    const before = snapshotEntries(lorebookData);
+    if (change(entry, $entry, lorebookData) === false) return;
+    if (lorebookData.entries[entry.uid]) entry.titan_updated = Date.now();
+    await commitBookChanges(bookName, lorebookData, before, "manual");
+}
+
+function bindInspectorEvents() {
+    $(document).on("input", "#titan-inspector-search", refreshInspectorSoon);
+    $(document).on("change", "#titan-inspector-filter, #titan-inspector-type, #titan-inspector-book, #titan-inspector-sort", () => refreshInspectorUI());
+    $(document).on("click", ".titan-inspector-save", function() {
+        editInspectorEntry(this, (entry, $entry) => {
+            const title = String($entry.find(".titan-inspector-title").val()).trim();
+            if (title) {
+                entry.comment = title;
+                entry.displayName = title;
+            }
+            entry.key = splitList($entry.find(".titan-inspector-keys").val());
+            const type = $entry.find(".titan-inspector-entry-type").val();
+            if (type !== normalizeType(entry.titan_type)) {
+                entry.titan_type = type;
+                applyTypeSettings(entry);
+            }
+            setEntryContent(entry, String($entry.find(".titan-inspector-content").val()), "edited");
+        });
+    });
+    $(document).on("click", ".titan-inspector-toggle", function() {
+        editInspectorEntry(this, (entry) => { entry.enabled = entry.enabled === false; });
+    });
+    $(document).on("click", ".titan-inspector-delete", function() {
+        editInspectorEntry(this, (entry, $entry, lorebookData) => {
+            if (!confirm(`Delete "${entryTitle(entry)}"? You can undo this from the History section.`)) return false;
+            delete lorebookData.entries[entry.uid];
+        });
+    });
+    $(document).on("click", ".titan-inspector-consolidate", function() {
+        const $entry = $(this).closest(".titan-inspector-entry");
+        enqueueJob("consolidate", { bookName: $entry.attr("data-book"), uid: $entry.attr("data-uid") });
+        toast("Consolidation queued.", "info");
+    });
+}
 
-        $btn.click((e) => {
-            e.stopPropagation();
-            toast("Analyzing Last 50 Messages...", "info");
-            runSummarization(50);
+// --- UI: RELATIONSHIPS ---
+async function refreshGraphUI() {
+    const $list = $("#titan-graph-list");
+    if (!$list.length) return;
+
+    const relations = [];
+    for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        if (lorebookData) getBookRelations(bookName, lorebookData).forEach(r => relations.push({ ...r, bookName }));
+    }
+
+    const $entity = $("#titan-graph-entity");
+    const selected = $entity.val();
+    const names = [...new Set(relations.flatMap(r => [r.subject, r.target]))].sort((a, b) => a.localeCompare(b));
+    $entity.empty().append(`<option value="">All entities</option>`);
+    names.forEach(n => $entity.append($("<option></option>").val(n).text(n)));
+    $entity.val(names.includes(selected) ? selected : "");
+
+    const focus = $entity.val();
+    const shown = focus
+        ? relations.filter(r => [r.subject, r.target].some(n => relationKey(r.bookName, n) === relationKey(r.bookName, focus)))
+        : relations;
+
+    $list.empty();
+    if (shown.length === 0) {
+        $list.append(`<div class="text_msg_hint">No relationships recorded yet.</div>`);
+        return;
+    }
+    const node = (name) => $(`<a class="titan-graph-node" href="javascript:void(0)"></a>`).attr("data-name", name).text(name);
+    for (const r of shown) {
+        const $row = $(`<div class="titan-history-change"></div>`);
+        const $text = $(`<span></span>`).append(node(r.subject), ` — ${r.relation} — `, node(r.target));
+        $row.append($text);
+        $row.append($(`<button class="menu_button titan-graph-delete" title="Forget this relationship"><i class="fa-solid fa-xmark"></i></button>`)
+            .attr("data-book", r.bookName).attr("data-uid", r.owner.uid).attr("data-index", r.index));
+        $list.append($row);
+    }
+}
+
+function bindGraphEvents() {
+    $(document).on("change", "#titan-graph-entity", () => refreshGraphUI());
+    $(document).on("click", ".titan-graph-node", function() {
+        $("#titan-graph-entity").val($(this).attr("data-name"));
+        refreshGraphUI();
+    });
+    $(document).on("click", ".titan-graph-delete", async function() {
+        const bookName = $(this).attr("data-book");
+        const lorebookData = await loadWorldInfo(bookName);
+        const entry = lorebookData?.entries?.[$(this).attr("data-uid")];
+        if (!entry?.titan_relations) return refreshGraphUI();
+        const before = snapshotEntries(lorebookData);
+        entry.titan_relations.splice(Number($(this).attr("data-index")), 1);
+        await commitBookChanges(bookName, lorebookData, before, "manual");
+    });
+}
+
+// --- UI: ENTITY TYPES ---
+const POSITION_LABELS = { 0: "↑ Char", 1: "↓ Char", 2: "↑ AN", 3: "↓ AN", 4: "@ Depth" };
+
+function renderTypeSettingsUI() {
+    const $table = $("#titan-type-settings");
+    if (!$table.length) return;
+    $table.empty();
+    for (const type of ENTITY_TYPES) {
+        const settings = getTypeSettings(type);
+        const $row = $(`<div class="flex-container align-items-center titan-type-row"></div>`).attr("data-type", type);
+        $row.append($(`<label class="titan-type-name"></label>`).text(type));
+        const $position = $(`<select class="text_pole" data-field="position" title="Where the entry is inserted"></select>`);
+        Object.entries(POSITION_LABELS).forEach(([value, label]) => $position.append($("<option></option>").val(value).text(label)));
+        $row.append($position.val(String(settings.position)));
+        $row.append($(`<input type="number" class="text_pole" data-field="depth" min="0" max="999" title="Depth (for @ Depth)" />`).val(settings.depth));
+        $row.append($(`<input type="number" class="text_pole" data-field="order" min="0" max="1000" title="Insertion order" />`).val(settings.order));
+        $row.append($(`<input type="checkbox" data-field="constant" title="Always active" />`).prop("checked", !!settings.constant));
+        $table.append($row);
+    }
+}
+
+function bindTypeSettingsEvents() {
+    $(document).on("change", ".titan-type-row [data-field]", function() {
+        const type = $(this).closest(".titan-type-row").attr("data-type");
+        const field = $(this).attr("data-field");
+        const all = { ...(getSetting("type_settings") || {}) };
+        all[type] = { ...getTypeSettings(type), [field]: field === "constant" ? $(this).prop("checked") : ($(this).val() === "" ? null : Number($(this).val())) };
+        setSetting("type_settings", all);
+    });
+    $("#titan-type-apply").click(async () => {
+        let count = 0;
+        for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+            const lorebookData = await loadWorldInfo(bookName);
+            if (!lorebookData) continue;
+            const before = snapshotEntries(lorebookData);
+            for (const entry of Object.values(lorebookData.entries || {})) {
+                if (!entry.stmemorybooks) continue;
+                applyTypeSettings(entry);
+                count++;
+            }
+            await commitBookChanges(bookName, lorebookData, before, "manual");
+        }
+        toast(`Placement applied to ${count} entries.`, "success");
+    });
+}
+
+// --- UI: CONFLICTS ---
+const FLAG_LABELS = { uncertain: "Uncertain", replaced: "Replaced an older fact", conflict: "Contradiction" };
+
+async function refreshConflictsUI() {
+    const $list = $("#titan-conflicts-list");
+    if (!$list.length) return;
+
+    const flagged = [];
+    for (const bookName of getChatBooks().filter(b => world_names.includes(b))) {
+        const lorebookData = await loadWorldInfo(bookName);
+        for (const entry of Object.values(lorebookData?.entries || {})) {
+            if (!entry.stmemorybooks || !entry.titan_facts) continue;
+            getFlaggedFacts(entry).forEach(fact => flagged.push({ bookName, entry, fact }));
+        }
+    }
+
+    $("#titan-conflict-count").text(flagged.length);
+    $list.empty();
+    if (flagged.length === 0) {
+        $list.append(`<div class="text_msg_hint">No uncertain or contradictory facts.</div>`);
+        return;
+    }
+    for (const { bookName, entry, fact } of flagged) {
+        const $item = $(`<div class="titan-review-item titan-conflict-item"></div>`)
+            .attr("data-book", bookName).attr("data-uid", entry.uid).attr("data-fact", fact.id);
+        $item.append($(`<div class="titan-review-action"></div>`).text(`${entryTitle(entry)}: ${FLAG_LABELS[fact.flag] || fact.flag}`));
+        $item.append($(`<div></div>`).text(fact.text));
+        if (fact.note) $item.append($(`<div class="titan-review-current"></div>`).text(fact.note));
+        $item.append($(`<div class="text_msg_hint"></div>`).text(`Recorded ${new Date(fact.recorded).toLocaleString()}${fact.source ? `, messages #${fact.source.start}–#${fact.source.end}` : ""}`));
+        $item.append(`
+            <div class="titan-review-buttons">
+                <button class="menu_button titan-conflict-resolve" data-action="keep" title="Keep this fact"><i class="fa-solid fa-check"></i> Keep</button>
+                <button class="menu_button red_button titan-conflict-resolve" data-action="discard" title="Move this fact to history (restores the fact it replaced)"><i class="fa-solid fa-xmark"></i> Discard</button>
+            </div>`);
+        $list.append($item);
+    }
+}
+
+function bindConflictEvents() {
+    $(document).on("click", ".titan-conflict-resolve", async function() {
+        const $item = $(this).closest(".titan-conflict-item");
+        const bookName = $item.attr("data-book");
+        const lorebookData = await loadWorldInfo(bookName);
+        const entry = lorebookData?.entries?.[$item.attr("data-uid")];
+        if (!entry) return refreshConflictsUI();
+
+        const before = snapshotEntries(lorebookData);
+        if (resolveFlaggedFact(entry, $item.attr("data-fact"), $(this).attr("data-action"))) {
+            entry.titan_updated = Date.now();
+            await commitBookChanges(bookName, lorebookData, before, "conflict");
+        }
+    });
+}
+
+// --- UI: EXPORT / IMPORT ---
+function refreshTransferUI() {
+    const $book = $("#titan-transfer-book");
+    if (!$book.length) return;
+    const selected = $book.val();
+    const books = listTitanBooks();
+    $book.empty();
+    books.forEach(b => $book.append($("<option></option>").val(b).text(b)));
+    $book.val(books.includes(selected) ? selected : getBookName());
+
+    const $target = $("#titan-copy-target");
+    const selectedTarget = $target.val();
+    $target.empty();
+    for (const character of getContext().characters || []) {
+        $target.append($("<option></option>").val(character.avatar).text(character.name));
+    }
+    if (selectedTarget) $target.val(selectedTarget);
+}
+
+function exportFileName(bookName, extension) {
+    return `${bookName.replace(/[^a-z0-9_\- ]/gi, "_")}.${extension}`;
+}
+
+async function importMemoryFile(file) {
+    const bookName = $("#titan-transfer-book").val() || getBookName();
+    let memory;
+    try {
+        memory = JSON.parse(await file.text());
+    } catch {
+        toast("That file is not valid JSON.", "error");
+        return;
+    }
+    const problem = validateMemoryExport(memory);
+    if (problem) {
+        toast(`Can't import: ${problem}`, "error");
+        return;
+    }
+
+    const answer = await callGenericPopup(
+        `Import ${memory.entries.length} entries from "${memory.book || file.name}" into "${bookName}"?\n\nMerge keeps the current entries. Replace removes Titan's entries from the book first.`,
+        POPUP_TYPE.CONFIRM, "", { okButton: "Merge", cancelButton: "Cancel", customButtons: [{ text: "Replace", result: POPUP_RESULT.CUSTOM1 }] });
+    if (answer !== POPUP_RESULT.AFFIRMATIVE && answer !== POPUP_RESULT.CUSTOM1) return;
+
+    try {
+        const result = await importMemory(bookName, memory, answer === POPUP_RESULT.CUSTOM1 ? "replace" : "merge");
+        toast(`Imported: ${result.added} new, ${result.merged} merged, ${result.skipped} unchanged.`, "success");
+        refreshTransferUI();
+    } catch (e) {
+        console.error("Import Failed", e);
+        toast(`Import failed: ${e.message}`, "error");
+    }
+}
+
+// --- UI: MEMORY SCOPE OVERRIDES ---
+function refreshScopeOverrideUI() {
+    const key = getScopeOwnerKey();
+    $("#titan-character-scope").val(key ? (getSetting("character_scopes") || {})[key] || "" : "").prop("disabled", !key);
+    $("#titan-chat-scope").val(getChatMetadata("memory_scope") || "").prop("disabled", !getCurrentChatId());
+}
+
+function bindScopeOverrideEvents() {
+    $("#titan-character-scope").on("change", function() {
+        const key = getScopeOwnerKey();
+        if (!key) return;
+        const all = { ...(getSetting("character_scopes") || {}) };
+        if ($(this).val()) all[key] = $(this).val();
+        else delete all[key];
+        setSetting("character_scopes", all);
+    });
+    $("#titan-chat-scope").on("change", function() {
+        setChatMetadata("memory_scope", $(this).val() || null);
+    });
+}
+
+// --- UI: PROMPT PRESETS ---
+function refreshPresetUI() {
+    const $select = $("#titan-preset-select");
+    if (!$select.length) return;
+    const selected = $select.val();
+    const presets = Object.keys(getSetting("prompt_presets") || {}).sort();
+    $select.empty();
+    presets.forEach(name => $select.append($("<option></option>").val(name).text(name)));
+    if (presets.includes(selected)) $select.val(selected);
+
+    const ctx = getContext();
+    const assigned = getAssignedPreset(ctx);
+    $("#titan-preset-status").text(!ctx.characterId
+        ? "Presets can be assigned in single-character chats."
+        : assigned ? `${ctx.characters[ctx.characterId].name} uses the preset "${assigned}".` : `${ctx.characters[ctx.characterId].name} uses the global prompts.`);
+}
+
+function bindPresetEvents() {
+    $("#titan-preset-save").click(async () => {
+        const name = await callGenericPopup("Preset name", POPUP_TYPE.INPUT, $("#titan-preset-select").val() || "");
+        if (!name || !String(name).trim()) return;
+        setSetting("prompt_presets", {
+            ...(getSetting("prompt_presets") || {}),
+            [String(name).trim()]: { prompttemplate: getSetting("prompttemplate"), json_prompttemplate: getSetting("json_prompttemplate") }
         });
+        refreshPresetUI();
+        $("#titan-preset-select").val(String(name).trim());
+        toast(`Preset "${String(name).trim()}" saved.`, "success");
+    });
+    $("#titan-preset-load").click(() => {
+        const preset = (getSetting("prompt_presets") || {})[$("#titan-preset-select").val()];
+        if (!preset) return;
+        for (const [key, id] of [["prompttemplate", "#titan-prompt-template"], ["json_prompttemplate", "#titan-json-prompt-template"]]) {
+            setSetting(key, preset[key]);
+            $(id).val(preset[key]);
+        }
+        toast("Preset loaded into the global prompts.", "success");
+    });
+    $("#titan-preset-delete").click(() => {
+        const name = $("#titan-preset-select").val();
+        if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+        const presets = { ...(getSetting("prompt_presets") || {}) };
+        delete presets[name];
+        setSetting("prompt_presets", presets);
+        const assignments = Object.fromEntries(Object.entries(getSetting("character_presets") || {}).filter(([, preset]) => preset !== name));
+        setSetting("character_presets", assignments);
+        refreshPresetUI();
+    });
+    $("#titan-preset-assign").click(() => {
+        const ctx = getContext();
+        const name = $("#titan-preset-select").val();
+        if (!ctx.characterId || !name) return;
+        const avatar = ctx.characters[ctx.characterId].avatar;
+        const assignments = { ...(getSetting("character_presets") || {}) };
+        if (assignments[avatar] === name) delete assignments[avatar];
+        else assignments[avatar] = name;
+        setSetting("character_presets", assignments);
+        refreshPresetUI();
+    });
+}
 
-        $target.prepend($btn);
+// --- UI: CONNECTIONS ---
+function populateProfileSelects() {
+    for (const role of ["extraction", "consolidation"]) {
+        const $select = $(`#titan-${role}-profile`);
+        const current = getSetting(`${role}_profile`);
+        $select.empty().append(`<option value="">Main API (current connection)</option>`);
+        for (const profile of getConnectionProfiles()) {
+            $select.append($("<option></option>").val(profile.id).text(profile.name));
+        }
+        if (current && !getConnectionProfiles().some(p => p.id === current)) {
+            $select.append($("<option></option>").val(current).text("(missing profile, using Main API)"));
+        }
+        $select.val(current);
+    }
+    refreshSamplerUI();
+}
+
+// Each role's textarea edits the overrides of the profile that role uses.
+function refreshSamplerUI() {
+    for (const role of ["extraction", "consolidation"]) {
+        const profileId = getSetting(`${role}_profile`);
+        const profile = getConnectionProfiles().find(p => p.id === profileId);
+        $(`#titan-${role}-sampler`).val(getSamplerText(role));
+        $(`#titan-${role}-sampler-target`).text(profile ? `for profile "${profile.name}"` : "for the Main API");
+    }
+}
+
+// --- UI: PRUNING REPORT & PINS ---
+function refreshPruneReportUI() {
+    const $report = $("#titan-prune-report");
+    if (!$report.length) return;
+    const r = lastPruneReport;
+    if (!r) {
+        $report.text("No generation yet.");
+        return;
+    }
+    const lines = [
+        `${new Date(r.date).toLocaleTimeString()}: ${r.used} / ${r.budget} tokens used.`,
+        `Kept: ${r.kept.unarchived} not yet archived, ${r.kept.pinned} pinned, ${r.kept.anchor} anchors.`
+    ];
+    if (r.used > r.budget) lines.push("Protected messages alone exceed the budget. Archive the chat or unpin messages to make room.");
+    lines.push(r.hidden.length
+        ? `Hidden (archived, over budget): ${r.hidden.map(h => `#${h.index} ${h.name} (${h.tokens})`).join(", ")}`
+        : "Nothing hidden.");
+    $report.text(lines.join("\n"));
+}
+
+function refreshPinMarks() {
+    const chat = getContext().chat || [];
+    $("#chat .mes").each(function() {
+        const pinned = !!chat[Number($(this).attr("mesid"))]?.extra?.titan_pinned;
+        $(this).toggleClass("titan-pinned", pinned);
+        $(this).find(".titan-pin-btn").toggleClass("titan-pin-active", pinned);
+    });
+}
+
+function injectPinButton() {
+    const $buttons = $("#message_template .mes_buttons .extraMesButtons");
+    if (!$buttons.length || $buttons.find(".titan-pin-btn").length) return;
+    $buttons.prepend(`<div title="Pin for Titan Memory (never hidden by pruning)" class="mes_button titan-pin-btn fa-solid fa-thumbtack interactable" tabindex="0"></div>`);
+}
+
+// --- UI: TRIGGERS ---
+const TRIGGER_INPUTS = {
+    "#titan-trigger-messages": "trigger_messages",
+    "#titan-threshold": "threshold",
+    "#titan-trigger-tokens": "trigger_tokens",
+    "#titan-trigger-token-threshold": "trigger_token_threshold",
+    "#titan-trigger-idle": "trigger_idle",
+    "#titan-trigger-idle-seconds": "trigger_idle_seconds",
+    "#titan-trigger-before-prune": "trigger_before_prune",
+    "#titan-trigger-on-character": "trigger_on_character"
+};
+
+// Shows the settings that apply to the current chat: the character's own, or the global ones.
+function refreshTriggerUI() {
+    for (const [id, key] of Object.entries(TRIGGER_INPUTS)) {
+        const $el = $(id);
+        if ($el.attr("type") === "checkbox") $el.prop("checked", !!getTriggerSetting(key));
+        else $el.val(getTriggerSetting(key));
+    }
+    const ctx = getContext();
+    $("#titan-trigger-per-character").prop("checked", !!getCharacterTriggers()).prop("disabled", !ctx.characterId);
+    $("#titan-trigger-scope").text(!ctx.characterId
+        ? "Editing the global triggers."
+        : getCharacterTriggers() ? `Editing the triggers for ${ctx.characters[ctx.characterId].name} only.` : "Editing the global triggers.");
+}
+
+function bindTriggerEvents() {
+    for (const [id, key] of Object.entries(TRIGGER_INPUTS)) {
+        $(id).on("change input", function() {
+            setTriggerSetting(key, $(this).attr("type") === "checkbox" ? $(this).prop("checked") : $(this).val());
+        });
+    }
+    $("#titan-trigger-per-character").on("change", function() {
+        setCharacterTriggersEnabled($(this).prop("checked"));
+        refreshTriggerUI();
+    });
+}
+
+// --- UI: RETRIEVAL ---
+function refreshRetrievalUI() {
+    const $report = $("#titan-retrieval-report");
+    if (!$report.length) return;
+    const r = lastRetrieval;
+    if (!getSetting("debug")) {
+        $report.text("Turn on Debug Mode to see what was injected.");
+    } else if (!r) {
+        $report.text("No generation yet.");
+    } else {
+        $report.text(`${new Date(r.date).toLocaleTimeString()}: ${r.results.length} injected\n`
+            + r.results.map(x => `${x.score.toFixed(2)}  ${x.title} (${x.tokens} tokens)`).join("\n"));
+    }
+}
+
+// --- UI: BACKFILL ---
+function describeBackfill() {
+    const state = getBackfill();
+    if (!state) return "No backfill started for this chat.";
+    const percent = state.end ? Math.floor(state.next / state.end * 100) : 100;
+    return `Backfill ${state.status}: message ${state.next} of ${state.end} (${percent}%), ${state.windows} windows done.`;
+}
+
+function refreshBackfillUI() {
+    $("#titan-backfill-status").text(describeBackfill());
+}
+
+// --- UI: DEBUG LOG ---
+function refreshDebugLogUI() {
+    const $log = $("#titan-debug-log");
+    if (!$log.length) return;
+    const text = [...debugLog].reverse().map(e => {
+        const status = e.errors.length ? `FAILED\n${e.errors.map(x => `  - ${x}`).join("\n")}` : "OK";
+        return `=== ${new Date(e.date).toLocaleTimeString()} [${e.mode}] ${status}\n${e.raw}`;
+    }).join("\n\n");
+    $log.text(text || "No Librarian replies yet.");
+}
+
+// --- UI: ALIASES ---
+// History and aliases work on one of this chat's books at a time (group members each have their own).
+function fillChatBookSelect($select) {
+    const books = getChatBooks().filter(b => world_names.includes(b));
+    const selected = $select.val();
+    $select.empty();
+    books.forEach(b => $select.append($("<option></option>").val(b).text(b)));
+    $select.val(books.includes(selected) ? selected : getBookName());
+    $select.toggle(books.length > 1);
+    return $select.val() || getBookName();
+}
+
+function refreshAliasesUI() {
+    const registry = getAliases(fillChatBookSelect($("#titan-aliases-book")));
+    $("#titan-aliases").val(Object.entries(registry).map(([canonical, aliases]) => `${canonical}: ${aliases.join(', ')}`).join("\n"));
+}
+
+// One line per entity: "Canonical Name: alias one, alias two"
+function parseAliasesText(text) {
+    const registry = {};
+    for (const line of String(text).split("\n")) {
+        const sep = line.indexOf(":");
+        if (sep === -1) continue;
+        const canonical = line.slice(0, sep).trim();
+        if (canonical) registry[canonical] = splitList(line.slice(sep + 1));
+    }
+    return registry;
+}
+
+// --- UI: MEMORY SOURCES ---
+async function refreshSourcesUI() {
+    const $list = $("#titan-sources-list");
+    if (!$list.length) return;
+    $list.empty();
+
+    const ctx = getContext();
+    const books = getChatBooks(ctx).filter(b => world_names.includes(b));
+    if (books.length === 0) {
+        $("#titan-coverage").text("No memory book for this chat yet.");
+        return;
+    }
+    const lorebooks = (await Promise.all(books.map(b => loadWorldInfo(b)))).filter(Boolean);
+
+    const chatId = ctx.getCurrentChatId ? ctx.getCurrentChatId() : null;
+    const coverage = getCoverage(lorebooks, chatId);
+    $("#titan-coverage").text(coverage.length
+        ? `Archived from this chat: ${coverage.map(r => `#${r.start}–#${r.end}`).join(", ")} (of ${ctx.chat.length} messages)`
+        : "Nothing from this chat has been archived yet.");
+
+    const entries = lorebooks.flatMap(data => Object.values(data.entries || {})).filter(e => e.stmemorybooks && e.titan_sources?.length);
+    for (const entry of entries) {
+        const $entry = $(`<details class="titan-history-record"></details>`);
+        $entry.append($(`<summary></summary>`).text(`${entryTitle(entry)} (${entry.titan_sources.length})`));
+        for (const source of entry.titan_sources) {
+            const where = `${source.chat === chatId ? "this chat" : source.chat} #${source.start}–#${source.end}${source.from ? `, ${source.from}` : ""}`;
+            const $source = $(`<div class="titan-history-change"></div>`);
+            $source.append($(`<span></span>`).text(`${source.fact} (${where})`));
+            $source.append($(`<button class="menu_button titan-source-jump" title="Jump to the source message"><i class="fa-solid fa-arrow-right"></i></button>`).data("source", source));
+            $entry.append($source);
+        }
+        $list.append($entry);
+    }
+}
+
+// --- UI: CONSISTENCY ---
+function refreshStaleUI() {
+    const stale = getChatMetadata("stale_ranges") || [];
+    $("#titan-stale-status").text(stale.length
+        ? `Stale: ${stale.map(r => `#${r.start}–#${r.end - 1}`).join(", ")}`
+        : "All archived messages are up to date.");
+}
+
+// --- UI: HISTORY ---
+const REASON_LABELS = {
+    extraction: "Extraction",
+    review: "Review Accepted",
+    janitor: "Janitor Merge",
+    manual: "Manual Edit",
+    import: "Import",
+    wipe: "Wipe",
+    conflict: "Conflict Resolved",
+    undo: "Undo",
+    rollback: "Rollback",
+    restore: "Entry Restored",
+    stale: "Marked Stale",
+    reextract: "Stale Facts Removed",
+    dedupe: "Duplicates Merged"
+};
+
+function refreshHistoryUI() {
+    const $list = $("#titan-history-list");
+    if (!$list.length) return;
+    $list.empty();
+
+    const bookName = fillChatBookSelect($("#titan-history-book"));
+    const journal = getJournal(bookName);
+    if (journal.length === 0) {
+        $list.append(`<div class="text_msg_hint">No changes recorded for this book yet.</div>`);
+        return;
+    }
+
+    for (const record of [...journal].reverse()) {
+        const $record = $(`<details class="titan-history-record"></details>`).attr("data-id", record.id);
+        const label = `${new Date(record.date).toLocaleString()} — ${REASON_LABELS[record.reason] || record.reason} (${record.changes.length})${record.undone ? " [undone]" : ""}`;
+        $record.append($(`<summary></summary>`).text(label));
+
+        for (const change of record.changes) {
+            const entry = change.after || change.before;
+            const verb = !change.before ? "created" : !change.after ? "deleted" : "changed";
+            const title = change.title || entry.comment || entry.displayName;
+            const $change = $(`<div class="titan-history-change"></div>`).attr("data-uid", change.uid);
+            $change.append($(`<span></span>`).text(`${title || `#${change.uid}`} (${verb})`));
+            $change.append(`<button class="menu_button titan-history-restore" title="Restore this version of the entry"><i class="fa-solid fa-rotate-left"></i></button>`);
+            $record.append($change);
+        }
+        $record.append(`<button class="menu_button titan-history-rollback" title="Roll the whole book back to right after this change"><i class="fa-solid fa-clock-rotate-left"></i> Roll Back To Here</button>`);
+        $list.append($record);
     }
 }
 
+function bindHistoryEvents() {
+    $(document).on("click", ".titan-history-restore", async function() {
+        const recordId = $(this).closest(".titan-history-record").attr("data-id");
+        const uid = $(this).closest(".titan-history-change").attr("data-uid");
+        if (await restoreEntryVersion($("#titan-history-book").val() || getBookName(), recordId, uid)) toast("Entry restored", "success");
+    });
+    $(document).on("click", ".titan-history-rollback", async function() {
+        const recordId = $(this).closest(".titan-history-record").attr("data-id");
+        if (!confirm("Roll the whole memory book back to this point?")) return;
+        if (await rollbackBook($("#titan-history-book").val() || getBookName(), recordId)) toast("Memory rolled back", "success");
+    });
+    $(document).on("change", "#titan-history-book", () => refreshHistoryUI());
+    $(document).on("click", "#titan-undo", async () => {
+        const record = await undoLastChange();
+        toast(record ? `Undid: ${REASON_LABELS[record.reason] || record.reason}` : "Nothing to undo", record ? "success" : "warning");
+    });
+}
+
 // --- INIT ---
 jQuery(document).ready(function () {
     console.log("%c [TITAN MEMORY] v11.0 (Phantom Protocol) Loaded ", "background: #00ff00; color: black; font-weight: bold;");
@@ -493,20 +4076,25 @@ jQuery(document).ready(function () {
             name: 'tm-now',
             callback: () => { 
                 toast("Forcing analysis...", "info");
-                runSummarization(0); 
+                enqueueJob("extract"); 
+                return "queued";
             },
-            helpString: 'Force Titan Memory to analyze new messages immediately.'
+            helpString: 'Force Titan Memory to analyze new messages immediately. Returns "queued".'
         }));
 
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'tm-scene',
             callback: (namedArgs, unnamedArgs) => {
-                const count = parseInt(unnamedArgs[0]);
-                if (isNaN(count)) return toast("Please specify number of messages. e.g., /tm-scene 50", "warning");
+                const count = parseInt(String(unnamedArgs));
+                if (isNaN(count)) {
+                    toast("Please specify number of messages. e.g., /tm-scene 50", "warning");
+                    return "";
+                }
                 toast(`Analyzing last ${count} messages...`, "info");
-                runSummarization(count);
+                enqueueJob("extract", { forcedCount: count });
+                return "queued";
             },
-            helpString: 'Force Titan Memory to analyze the last X messages. Usage: /tm-scene 50',
+            helpString: 'Force Titan Memory to analyze the last X messages. Usage: /tm-scene 50. Returns "queued".',
             unnamedArgumentList: [
                 SlashCommandArgument.fromProps({ 
                     description: 'Number of messages', 
@@ -515,26 +4103,342 @@ jQuery(document).ready(function () {
                 })
             ]
         }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-backfill',
+            callback: async (namedArgs, unnamedArgs) => {
+                const action = String(unnamedArgs || "start").trim().toLowerCase();
+                if (action === "pause") pauseBackfill();
+                else if (action === "resume") resumeBackfill();
+                else if (action === "restart") {
+                    setBackfill(null);
+                    await startBackfill();
+                } else if (action !== "status") await startBackfill();
+                return describeBackfill();
+            },
+            helpString: 'Analyze the whole chat history in chunks. Usage: /tm-backfill [start|pause|resume|restart|status]',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'start, pause, resume, restart or status',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                    enumList: ['start', 'pause', 'resume', 'restart', 'status']
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-review',
+            callback: () => {
+                openReviewPopup();
+                return "";
+            },
+            helpString: 'Open the Titan Memory review queue to accept, edit or reject extracted memories.'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-janitor',
+            callback: async (namedArgs) => {
+                const previewOnly = String(namedArgs.preview) === "true";
+                const result = await runJanitorNow(previewOnly);
+                if (!result) return "";
+                if (!previewOnly) toast(`Janitor queued for ${result.plan.length} groups.`, "info");
+                return formatJanitorPlan(result.plan);
+            },
+            helpString: 'Run the Titan Janitor now. With preview=true, only returns the groups it would merge.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'preview',
+                    description: 'Only list the planned merges',
+                    typeList: [ARGUMENT_TYPE.BOOLEAN],
+                    defaultValue: 'false'
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-undo',
+            callback: async () => {
+                const record = await undoLastChange();
+                if (!record) {
+                    toast("Nothing to undo", "warning");
+                    return "";
+                }
+                toast(`Undid: ${REASON_LABELS[record.reason] || record.reason}`, "success");
+                return REASON_LABELS[record.reason] || record.reason;
+            },
+            helpString: 'Undo the last change Titan Memory made to this chat\'s memory books.'
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-recall',
+            callback: async (namedArgs, unnamedArgs) => {
+                const query = String(unnamedArgs || "").trim();
+                if (!query) return "";
+                const entries = await recallMemories(query, Number(namedArgs.limit) || 5);
+                return entries.map(e => `[${entryTitle(e)}]\n${e.content}`).join("\n\n");
+            },
+            helpString: 'Return the stored memories that best match the query. Usage: /tm-recall limit=3 Mira | /echo',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'limit',
+                    description: 'How many entries to return',
+                    typeList: [ARGUMENT_TYPE.NUMBER],
+                    defaultValue: '5'
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'Search text or entity name',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                    enumProvider: entityEnumProvider,
+                    forceEnum: false
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-remember',
+            callback: async (namedArgs, unnamedArgs) => {
+                const entity = String(namedArgs.entity || "").trim();
+                const fact = String(unnamedArgs || "").trim();
+                if (!entity || !fact) {
+                    toast("Usage: /tm-remember entity=Mira \"Mira hates the sea.\"", "warning");
+                    return "";
+                }
+                try {
+                    const title = await rememberFact(entity, fact, { keywords: namedArgs.keywords || "", type: namedArgs.type || null });
+                    if (!title) toast("Nothing was saved.", "warning");
+                    else if (title.toLowerCase() !== entity.toLowerCase()) toast(`Filed under "${title}".`, "info");
+                    return title || "";
+                } catch (e) {
+                    toast(e.message, "warning");
+                    return "";
+                }
+            },
+            helpString: 'Add a fact to an entity by hand. Returns the name of the entry it was filed under, or nothing if it wasn\'t saved. Usage: /tm-remember entity=Mira type=person "Mira hates the sea."',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'entity',
+                    description: 'Entity the fact is about',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                    enumProvider: entityEnumProvider,
+                    forceEnum: false
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'type',
+                    description: 'Entity type for new entries',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumList: ENTITY_TYPES
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'keywords',
+                    description: 'Comma separated activation keywords',
+                    typeList: [ARGUMENT_TYPE.STRING]
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'The fact',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-forget',
+            callback: async (namedArgs, unnamedArgs) => {
+                const entity = String(unnamedArgs || "").trim();
+                if (!entity) return "";
+                const result = await forgetMemory(entity, namedArgs.fact ? String(namedArgs.fact) : null);
+                if (!result) {
+                    toast(`Nothing stored for "${entity}".`, "warning");
+                    return "";
+                }
+                if (result.candidates) {
+                    toast(result.candidates.length
+                        ? `No fact of ${result.title} matches exactly. Closest: ${result.candidates.map(c => `"${c}"`).join(", ")}`
+                        : `No fact of ${result.title} matches.`, "warning");
+                    return "";
+                }
+                toast(`Forgot ${namedArgs.fact ? "a fact about " : ""}${result.title}. Undo with /tm-undo.`, "success");
+                return result.title;
+            },
+            helpString: 'Delete an entity from memory, or only one of its facts with fact="..." (must match the stored text). Returns the entity name, or nothing if not found.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'fact',
+                    description: 'Only forget the fact that matches this text',
+                    typeList: [ARGUMENT_TYPE.STRING]
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'Entity name',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                    enumProvider: entityEnumProvider,
+                    forceEnum: false
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-status',
+            callback: async (namedArgs) => {
+                const status = await getMemoryStatus();
+                return namedArgs.format === "json" ? JSON.stringify(status) : formatMemoryStatus(status);
+            },
+            helpString: 'Return Titan Memory\'s progress, job queue state and entry count. format=json returns an object.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'format',
+                    description: 'text or json',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumList: ['text', 'json'],
+                    defaultValue: 'text'
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-summary',
+            callback: (namedArgs) => {
+                if (namedArgs.part === "story") return getChatMetadata("story_so_far") || "";
+                if (namedArgs.part === "recent") return (getChatMetadata("recent_summaries") || []).map(s => s.text).join("\n\n");
+                return getStoryText();
+            },
+            helpString: 'Return the current story summary. part=story returns the rolled-up summary only, part=recent the newest scene summaries.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'part',
+                    description: 'all, story or recent',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumList: ['all', 'story', 'recent'],
+                    defaultValue: 'all'
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-preview',
+            callback: async (namedArgs, unnamedArgs) => {
+                const count = parseInt(String(unnamedArgs || "")) || null;
+                const preview = namedArgs.show === "false" ? await getExtractionPreview(count) : await openPreviewPopup(count);
+                return namedArgs.part === "transcript" ? preview.transcript : preview.prompt;
+            },
+            helpString: 'Show exactly what the Librarian would be sent, after content filters. Optionally pass a number of recent messages instead of the unarchived ones. Returns the prompt, or the cleaned chat text with part=transcript.',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'part',
+                    description: 'prompt or transcript',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumList: ['prompt', 'transcript'],
+                    defaultValue: 'prompt'
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'show',
+                    description: 'Open the preview popup',
+                    typeList: [ARGUMENT_TYPE.BOOLEAN],
+                    defaultValue: 'true'
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'Number of recent messages',
+                    typeList: [ARGUMENT_TYPE.NUMBER],
+                    isRequired: false
+                })
+            ]
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'tm-cancel',
+            callback: () => {
+                const cancelled = cancelCurrentJob();
+                toast(cancelled ? "Cancelling..." : "Nothing is running", "info");
+                return String(cancelled);
+            },
+            helpString: 'Cancel the memory job Titan Memory is currently running.'
+        }));
     };
 
     setTimeout(registerCommands, 2000);
     setTimeout(injectBrainButton, 2500);
+    injectPinButton();
 
     if (eventSource) {
         eventSource.on(event_types.USER_MESSAGE_RENDERED, () => {
-            const chat = getContext().chat;
-            const lastIndex = getChatMetadata("last_index") || 0;
-            if (getSetting("autosummarize") && (chat.length - lastIndex >= getSetting("threshold"))) {
-                runSummarization();
-            }
+            checkTriggers("user");
+            restartIdleTrigger();
             // No handlePruning() call needed here!
         });
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, () => {
+            checkTriggers("character");
+            restartIdleTrigger();
+        });
         
+        if (event_types.WORLDINFO_ENTRIES_LOADED) eventSource.on(event_types.WORLDINFO_ENTRIES_LOADED, addScanLore);
+        eventSource.on(event_types.MESSAGE_EDITED, scheduleConsistencyCheck);
+        eventSource.on(event_types.MESSAGE_DELETED, scheduleConsistencyCheck);
+        eventSource.on(event_types.MESSAGE_SWIPED, scheduleConsistencyCheck);
+        eventSource.on(event_types.MESSAGE_RECEIVED, () => { knownChatLength = getContext().chat.length; });
+        eventSource.on(event_types.MESSAGE_SENT, () => { knownChatLength = getContext().chat.length; });
+        eventSource.on(event_types.USER_MESSAGE_RENDERED, refreshPinMarks);
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, refreshPinMarks);
+
         eventSource.on(event_types.CHAT_CHANGED, () => {
             setTimeout(injectBrainButton, 500);
+            if (currentJob && currentJob.chatId !== getCurrentChatId()) cancelCurrentJob();
+            handleChatIdentity();
+            refreshStaleUI();
+            refreshBackfillUI();
+            refreshPinMarks();
+            clearTimeout(idleTriggerTimer);
+            refreshTriggerUI();
+            refreshScopeOverrideUI();
+            lastPruneReport = null;
+            refreshPruneReportUI();
+            lastRetrieval = null;
+            retrievalIndexCache.clear();
+            refreshRetrievalUI();
+            resumeInterruptedJobs();
+            updateSummaryInjection();
+            refreshSummaryUI();
+            refreshReviewPanels();
+            refreshHistoryUI();
+            refreshAliasesUI();
+            refreshSourcesUI();
+            refreshInspectorUI();
+            refreshConflictsUI();
+            refreshGraphUI();
+            refreshEntityNames();
+            refreshTransferUI();
+            refreshPresetUI();
         });
     }
 
+    bindReviewPanelEvents();
+    bindHistoryEvents();
+    bindJobEvents();
+    bindInspectorEvents();
+    bindConflictEvents();
+    bindGraphEvents();
+    $(document).on("click", ".titan-pin-btn", function() {
+        togglePin(Number($(this).closest(".mes").attr("mesid")));
+    });
+    $(document).on("click", ".titan-source-jump", async function() {
+        try {
+            await jumpToSource($(this).data("source"));
+        } catch (e) {
+            console.error("Jump Failed", e);
+            toast("Couldn't open the source message.", "warning");
+        }
+    });
+
     const loadUI = async () => {
         const scriptPath = import.meta.url.substring(0, import.meta.url.lastIndexOf('/'));
         const response = await fetch(`${scriptPath}/settings.html`);
@@ -550,26 +4454,217 @@ jQuery(document).ready(function () {
             });
         };
         
+        populateProfileSelects();
+        $("#titan-memory-settings .inline-drawer-toggle").on("click", populateProfileSelects);
+
         bind("#titan-enabled", "enabled");
         bind("#titan-debug", "debug");
         bind("#titan-auto-summarize", "autosummarize");
-        bind("#titan-threshold", "threshold");
+        bindTriggerEvents();
+        refreshTriggerUI();
         bind("#titan-min-length", "min_message_length");
+        bind("#titan-filter-skip-system", "filter_skip_system");
+        bind("#titan-filter-skip-hidden", "filter_skip_hidden");
+        bind("#titan-filter-skip-narrator", "filter_skip_narrator");
+        bind("#titan-filter-strip-ooc", "filter_strip_ooc");
+        bind("#titan-filter-ooc-delimiters", "filter_ooc_delimiters");
+        bind("#titan-filter-redactions", "filter_redactions");
+        bind("#titan-filter-strip-markup", "filter_strip_markup");
+        $("#titan-filter-preview").on("click", () => openPreviewPopup());
+        bind("#titan-review-enabled", "review_enabled");
+        bind("#titan-extraction-mode", "extraction_mode");
+        bind("#titan-json-prompt-template", "json_prompttemplate");
+        bind("#titan-repair-prompt", "repair_prompt");
+        bind("#titan-fuzzy-enabled", "fuzzy_enabled");
+        bind("#titan-fuzzy-threshold", "fuzzy_threshold");
+        bind("#titan-journal-limit", "journal_limit");
+        bind("#titan-journal-max-kb", "journal_max_kb");
+        bind("#titan-stale-action", "stale_action");
+        bind("#titan-job-max-retries", "job_max_retries");
+        bind("#titan-job-retry-delay", "job_retry_delay");
+        bind("#titan-backfill-window", "backfill_window_tokens");
+        bind("#titan-backfill-overlap", "backfill_overlap");
+        bind("#titan-extraction-profile", "extraction_profile");
+        bind("#titan-consolidation-profile", "consolidation_profile");
+        for (const role of ["extraction", "consolidation"]) {
+            $(`#titan-${role}-sampler`).on("change input", function() { setSamplerText(role, $(this).val()); });
+            $(`#titan-${role}-profile`).on("change", refreshSamplerUI);
+        }
+        refreshSamplerUI();
+        $("#titan-extraction-sampler, #titan-consolidation-sampler").on("change", function() {
+            try {
+                JSON.parse($(this).val() || "{}");
+            } catch {
+                toast("Sampler overrides are not valid JSON. They will be ignored.", "warning");
+            }
+        });
         
         bind("#titan-consolidation", "consolidation_enabled");
         bind("#titan-consolidation-threshold", "consolidation_threshold");
         bind("#titan-merge-prompt", "merge_prompt");
+        bind("#titan-consolidation-max-tokens", "consolidation_max_tokens");
+        bind("#titan-consolidation-key-overlap", "consolidation_key_overlap");
 
         bind("#titan-pruning", "pruningenabled");
         bind("#titan-token-budget", "tokenbudget");
+        bind("#titan-budget-mode", "budget_mode");
+        bind("#titan-budget-percent", "budget_percent");
+        bind("#titan-anchor-greeting", "anchor_greeting");
+        bind("#titan-anchor-messages", "anchor_messages");
+        bind("#titan-retrieval-enabled", "retrieval_enabled");
+        bind("#titan-retrieval-top-k", "retrieval_top_k");
+        bind("#titan-retrieval-budget", "retrieval_token_budget");
+        bind("#titan-retrieval-query", "retrieval_query_messages");
+        bind("#titan-retrieval-min-score", "retrieval_min_score");
+        bind("#titan-retrieval-depth", "retrieval_depth");
+        bind("#titan-retrieval-role", "retrieval_role");
+        bind("#titan-retrieval-template", "retrieval_template");
+        $("#titan-debug").on("change", refreshRetrievalUI);
+        refreshRetrievalUI();
+        refreshPruneReportUI();
         bind("#titan-prompt-template", "prompttemplate");
+        bind("#titan-known-entities-limit", "known_entities_limit");
+        bind("#titan-relevant-tokens", "relevant_memories_tokens");
+        bind("#titan-story-context-tokens", "story_context_tokens");
+        bindPresetEvents();
+        refreshPresetUI();
+
+        bind("#titan-summary-enabled", "summary_enabled");
+        bind("#titan-summary-depth", "summary_depth");
+        bind("#titan-summary-role", "summary_role");
+        bind("#titan-summary-cap", "summary_token_cap");
+        bind("#titan-rollup-prompt", "rollup_prompt");
+        $("#titan-summary-enabled, #titan-summary-depth, #titan-summary-role, #titan-summary-cap").on("change", updateSummaryInjection);
+
+        $("#titan-story-so-far").on("change", function() {
+            setChatMetadata("story_so_far", $(this).val());
+            updateSummaryInjection();
+        });
+        $("#titan-recent-summaries").on("change", function() {
+            const old = getChatMetadata("recent_summaries") || [];
+            const blocks = String($(this).val()).split(/\n\s*\n/).map(t => t.trim()).filter(Boolean);
+            setChatMetadata("recent_summaries", blocks.map((text, i) => ({ ...(old[i] || { date: Date.now() }), text })));
+            updateSummaryInjection();
+        });
+        $("#titan-rollup-now").click(async () => {
+            await rollUpSummaries();
+            updateSummaryInjection();
+            refreshSummaryUI();
+        });
+        refreshSummaryUI();
+        refreshReviewPanels();
+        refreshHistoryUI();
+        refreshDebugLogUI();
+        refreshAliasesUI();
+        $("#titan-aliases").on("change", function() {
+            setAliases($("#titan-aliases-book").val() || getBookName(), parseAliasesText($(this).val()));
+        });
+        $("#titan-aliases-book").on("change", refreshAliasesUI);
+        $("#titan-merge-duplicates").click(async () => {
+            const merged = await mergeDuplicateEntries($("#titan-aliases-book").val() || getBookName());
+            toast(merged ? `Merged ${merged} duplicate entries.` : "No duplicates found.", merged ? "success" : "info");
+        });
+        $("#titan-stale-reextract").click(async () => {
+            const count = await reextractStaleRanges();
+            toast(count ? `Re-extracted ${count} stale part(s).` : "Nothing is stale.", "info");
+        });
+        refreshStaleUI();
+        refreshJobStatus();
+        refreshBackfillUI();
+        refreshInspectorUI();
+        refreshConflictsUI();
+        bind("#titan-fact-history-limit", "fact_history_limit");
+        refreshGraphUI();
+        renderTypeSettingsUI();
+        bindTypeSettingsEvents();
+        $("#titan-inspector-type").append(ENTITY_TYPES.map(t => $("<option></option>").val(t).text(t)));
+        $("#titan-inspector-refresh").click(() => refreshInspectorUI());
+
+        bind("#titan-import-conflict", "import_conflict");
+        bind("#titan-memory-scope", "memory_scope");
+        bindScopeOverrideEvents();
+        refreshScopeOverrideUI();
+        $("#titan-memory-scope, #titan-character-scope, #titan-chat-scope").on("change", () => {
+            refreshGraphUI();
+            refreshInspectorUI();
+            refreshConflictsUI();
+            refreshTransferUI();
+            refreshHistoryUI();
+        });
+        refreshTransferUI();
+        $("#titan-memory-settings .inline-drawer-toggle").on("click", refreshTransferUI);
+        $("#titan-export-json").click(async () => {
+            const bookName = $("#titan-transfer-book").val();
+            download(JSON.stringify(await buildMemoryExport(bookName), null, 2), exportFileName(bookName, "json"), "application/json");
+        });
+        $("#titan-export-md").click(async () => {
+            const bookName = $("#titan-transfer-book").val();
+            download(buildMemoryDossier(await buildMemoryExport(bookName)), exportFileName(bookName, "md"), "text/markdown");
+        });
+        $("#titan-import").click(() => $("#titan-import-file").trigger("click"));
+        $("#titan-import-file").on("change", async function() {
+            const file = this.files[0];
+            $(this).val("");
+            if (file) await importMemoryFile(file);
+        });
+        $("#titan-copy-memory").click(async () => {
+            const sourceBook = $("#titan-transfer-book").val();
+            const avatar = $("#titan-copy-target").val();
+            try {
+                const result = await copyMemoryToCharacter(sourceBook, avatar);
+                if (!result) toast("Pick a different character.", "warning");
+                else toast(`Copied ${result.added + result.merged} entries to ${result.targetBook}.`, "success");
+                refreshTransferUI();
+            } catch (e) {
+                console.error("Copy Failed", e);
+                toast(`Copy failed: ${e.message}`, "error");
+            }
+        });
+        $("#titan-backfill-start").click(() => startBackfill());
+        $("#titan-backfill-pause").click(() => pauseBackfill());
+        $("#titan-backfill-reset").click(() => {
+            if (!confirm("Forget backfill progress for this chat? Stored memories are kept.")) return;
+            pauseBackfill();
+            setBackfill(null);
+        });
+        $("#titan-sources-refresh").click(refreshSourcesUI);
+        refreshSourcesUI();
+        $("#titan-janitor-preview").click(async () => {
+            const result = await runJanitorNow(true);
+            $("#titan-janitor-plan").text(!result ? "No memory book for this chat yet." : formatJanitorPlan(result.plan) || "Nothing to consolidate.");
+        });
+        $("#titan-janitor-run").click(async () => {
+            const result = await runJanitorNow();
+            $("#titan-janitor-plan").text(!result ? "No memory book for this chat yet." : `Janitor queued for ${result.plan.length} groups.`);
+        });
+        $("#titan-debug-log-clear").click(() => {
+            debugLog.length = 0;
+            refreshDebugLogUI();
+        });
         
-        $("#titan-now").click(() => runSummarization());
+        $("#titan-now").click(() => enqueueJob("extract"));
         $("#titan-save").click(() => toast("Settings Saved", "success"));
-        $("#titan-wipe").click(() => {
-            if(confirm("Wipe memory?")) {
-                setChatMetadata("last_index", 0);
+        $("#titan-wipe").click(async () => {
+            const books = getChatBooks().filter(b => world_names.includes(b));
+            const $dialog = $(`<div class="titan-review-panel">
+                <b>Wipe Titan Memory</b>
+                <div class="text_msg_hint">A JSON backup of every affected book is downloaded first.</div>
+                <label class="checkbox_label"><input type="radio" name="titan-wipe-mode" value="progress" checked /> Reset progress only (re-read the chat, keep entries)</label>
+                <label class="checkbox_label"><input type="radio" name="titan-wipe-mode" value="chat" /> Delete this chat's memories and summaries</label>
+                <label class="checkbox_label"><input type="radio" name="titan-wipe-mode" value="book" /> Delete the whole book</label>
+            </div>`);
+            $dialog.append($(`<div class="text_msg_hint"></div>`).text(books.length ? `Books: ${books.join(", ")}` : "This chat has no memory book yet."));
+            let mode = "progress";
+            $dialog.on("change", "input[name='titan-wipe-mode']", function() { mode = $(this).val(); });
+
+            const answer = await callGenericPopup($dialog, POPUP_TYPE.CONFIRM, "", { okButton: "Wipe", cancelButton: "Cancel" });
+            if (answer !== POPUP_RESULT.AFFIRMATIVE) return;
+            try {
+                await wipeMemory(mode);
                 toast("Memory Wiped", "error");
+            } catch (e) {
+                console.error("Wipe Failed", e);
+                toast(`Wipe failed: ${e.message}`, "error");
             }
         });
     };